@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+// bin/metalocked.js
+// Command-line access to a time-locked wallet vault, built on the same
+// TimeLockedWalletClient (and src/abi.json) as the web app.
+//
+//   metalocked status
+//   metalocked deposit 0.05
+//   metalocked withdraw 0.05
+//   metalocked extend --by 7d
+//   metalocked extend --until 2026-12-31T00:00:00Z
+//   metalocked history
+//
+// Against a local Anvil / Hardhat node (the "local" network, 127.0.0.1:8545):
+//   METALOCKED_PRIVATE_KEY=0xac09... metalocked deposit 1 \
+//     --network local --vault 0x5FbDB2315678afecb367f032d93F642f64180aa3
+import { parseArgs } from "node:util";
+import { readFile } from "node:fs/promises";
+import { JsonRpcProvider, Wallet, formatEther } from "ethers";
+import networks from "../src/networks.json" with { type: "json" };
+import { TimeLockedWalletClient } from "../src/lib/TimeLockedWalletClient.js";
+import { parseAmount as parseExactAmount } from "../src/lib/amounts.js";
+import { parseDuration } from "../src/lib/duration.js";
+import { classifyError } from "../src/lib/errors.js";
+import { verifyVaultCode } from "../src/lib/verify.js";
+
+const USAGE = `Usage: metalocked <command> [options]
+
+Commands:
+  status                     Balance, unlock time and owner of the vault
+  deposit <eth>              Send ETH into the vault
+  withdraw <eth>             Withdraw ETH (owner only, after unlock)
+  extend --by <duration>     Push the unlock time out, e.g. 90s, 45m, 12h, 7d, 2w
+  extend --until <date>      Move the unlock time to an ISO date or unix time
+  history                    Every deposit, withdrawal and lock extension
+  verify                     Check the vault's code against known builds and
+                             print its code hash
+
+Options:
+  --network <key>            Network from src/networks.json (default: ${networks.networks.find((n) => n.chainId === networks.defaultChainId)?.key})
+  --rpc <url>                JSON-RPC endpoint (overrides the network's)
+  --vault <address>          Vault address (overrides the network's)
+  --keystore <file>          Encrypted JSON keystore to sign with; the password
+                             is read from METALOCKED_KEYSTORE_PASSWORD
+  --from-block <n>           First block for history (default: deploy block)
+  --json                     Machine-readable output
+  -h, --help                 Show this help
+
+Without --keystore, writes are signed with METALOCKED_PRIVATE_KEY.`;
+
+const OPTIONS = {
+  network: { type: "string" },
+  rpc: { type: "string" },
+  vault: { type: "string" },
+  keystore: { type: "string" },
+  by: { type: "string" },
+  until: { type: "string" },
+  "from-block": { type: "string" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+class UsageError extends Error {}
+
+const resolveNetwork = (values) => {
+  const key = values.network;
+  const network = key
+    ? networks.networks.find((n) => n.key === key || n.chainId === key)
+    : networks.networks.find((n) => n.chainId === networks.defaultChainId);
+  if (key && !network) throw new UsageError(`Unknown network "${key}".`);
+
+  const rpcUrl = values.rpc || network?.rpcUrls[0];
+  const vault = values.vault || network?.vaultAddress;
+  if (!rpcUrl) throw new UsageError("No RPC URL: pass --rpc.");
+  if (!vault) throw new UsageError("No vault address: pass --vault.");
+  return { rpcUrl, vault, deployBlock: network?.deployBlock || 0 };
+};
+
+const loadSigner = async (values, provider) => {
+  if (values.keystore) {
+    const password = process.env.METALOCKED_KEYSTORE_PASSWORD;
+    if (password === undefined) {
+      throw new UsageError("Set METALOCKED_KEYSTORE_PASSWORD to unlock the keystore.");
+    }
+    const json = await readFile(values.keystore, "utf8");
+    const wallet = await Wallet.fromEncryptedJson(json, password);
+    return wallet.connect(provider);
+  }
+  const privateKey = process.env.METALOCKED_PRIVATE_KEY;
+  if (!privateKey) {
+    throw new UsageError("Writes need --keystore or METALOCKED_PRIVATE_KEY.");
+  }
+  return new Wallet(privateKey, provider);
+};
+
+const parseAmount = (text) => {
+  if (!text) throw new UsageError("Missing amount in ETH.");
+  const { wei, error } = parseExactAmount(text, "ETH");
+  if (wei === null) throw new UsageError(error);
+  return wei;
+};
+
+const parseBlock = (text) => {
+  if (!/^\d+$/.test(text)) {
+    throw new UsageError(`--from-block must be a block number, not "${text}".`);
+  }
+  return Number(text);
+};
+
+const parseDate = (text) => {
+  const seconds = /^\d+$/.test(text) ? Number(text) : Date.parse(text) / 1000;
+  if (!Number.isFinite(seconds)) throw new UsageError(`Invalid date "${text}".`);
+  return Math.floor(seconds);
+};
+
+// parseDuration throws a plain Error; here a bad --by is a usage mistake.
+const parseBy = (text) => {
+  try {
+    const seconds = parseDuration(text);
+    if (seconds <= 0) throw new Error(`Invalid duration "${text}".`);
+    return seconds;
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+};
+
+const isoTime = (seconds) => new Date(seconds * 1000).toISOString();
+
+// bigint-safe JSON
+const toJson = (value) =>
+  JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+
+const printState = (state, json) => {
+  if (json) {
+    console.log(toJson({ ...state, unlockTimeIso: isoTime(state.unlockTime) }));
+    return;
+  }
+  console.log(`Vault:       ${state.address}`);
+  console.log(`Owner:       ${state.owner}`);
+  console.log(`Balance:     ${formatEther(state.balance)} ETH`);
+  console.log(`Unlock time: ${isoTime(state.unlockTime)}`);
+  console.log(
+    `Status:      ${state.isUnlocked ? "unlocked" : "locked"} (block ${state.blockNumber})`
+  );
+};
+
+const printHistory = (entries, json) => {
+  if (json) {
+    console.log(toJson(entries));
+    return;
+  }
+  if (entries.length === 0) {
+    console.log("No vault activity yet.");
+    return;
+  }
+  for (const entry of entries) {
+    const detail =
+      entry.amount !== null
+        ? `${formatEther(entry.amount)} ETH`
+        : `unlock ${isoTime(entry.oldUnlockTime)} -> ${isoTime(entry.newUnlockTime)}`;
+    console.log(
+      `${isoTime(entry.timestamp)}  #${entry.blockNumber}  ${entry.type.padEnd(12)}  ${entry.actor}  ${detail}  ${entry.txHash}`
+    );
+  }
+};
+
+const printVerification = (result, json) => {
+  if (json) {
+    console.log(toJson(result));
+    return;
+  }
+  console.log(`Status:    ${result.status}`);
+  console.log(`Code hash: ${result.codeHash || "-"}`);
+  for (const check of result.checks) {
+    const mark = check.ok === true ? "ok" : check.ok === false ? "FAIL" : "?";
+    console.log(`  [${mark}] ${check.label}: ${check.detail}`);
+  }
+};
+
+// Sends a write, waits for one confirmation and reports the receipt.
+const runWrite = async (label, send, json) => {
+  if (!json) console.error(`Simulating ${label}...`);
+  const tx = await send();
+  if (!json) console.error(`Sent ${tx.hash}, waiting for confirmation...`);
+  const receipt = await tx.wait();
+  if (json) {
+    console.log(
+      toJson({
+        action: label,
+        hash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        status: receipt.status,
+      })
+    );
+  } else {
+    console.log(`${label} confirmed in block ${receipt.blockNumber}.`);
+  }
+};
+
+const main = async (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command, arg] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const { rpcUrl, vault, deployBlock } = resolveNetwork(values);
+  const provider = new JsonRpcProvider(rpcUrl);
+  const client = new TimeLockedWalletClient({
+    address: vault,
+    runner: provider,
+    deployBlock,
+  });
+  const withSigner = async () => client.connect(await loadSigner(values, provider));
+
+  try {
+    switch (command) {
+      case "status":
+        printState(await client.getState(), values.json);
+        break;
+      case "deposit": {
+        const amount = parseAmount(arg);
+        const signed = await withSigner();
+        await runWrite("deposit", () => signed.deposit(amount), values.json);
+        break;
+      }
+      case "withdraw": {
+        const amount = parseAmount(arg);
+        const signed = await withSigner();
+        await signed.getState(); // lets revert messages quote the unlock time
+        await runWrite("withdraw", () => signed.withdraw(amount), values.json);
+        break;
+      }
+      case "extend": {
+        if (Boolean(values.by) === Boolean(values.until)) {
+          throw new UsageError("extend needs exactly one of --by or --until.");
+        }
+        // Validated before the key is loaded, so typos are reported first.
+        const by = values.by ? parseBy(values.by) : null;
+        const until = values.until ? parseDate(values.until) : null;
+        const signed = await withSigner();
+        const send = by
+          ? () => signed.extendLockBy(by)
+          : () => signed.extendLockUntil(until);
+        await runWrite("extendLock", send, values.json);
+        break;
+      }
+      case "history": {
+        const fromBlock = values["from-block"];
+        const entries = await client.getHistory({
+          fromBlock: fromBlock !== undefined ? parseBlock(fromBlock) : undefined,
+        });
+        printHistory(entries, values.json);
+        break;
+      }
+      case "verify": {
+        const result = await verifyVaultCode(provider, vault);
+        printVerification(result, values.json);
+        if (result.status !== "verified") process.exitCode = 1;
+        break;
+      }
+      default:
+        throw new UsageError(`Unknown command "${command}".`);
+    }
+  } finally {
+    provider.destroy();
+  }
+};
+
+main(process.argv.slice(2)).catch((err) => {
+  const json = process.argv.includes("--json");
+  const { kind, message, action } =
+    err instanceof UsageError
+      ? { kind: "usage", message: err.message, action: "" }
+      : classifyError(err);
+  const text = action ? `${message} ${action}` : message;
+  if (json) console.error(toJson({ error: text, kind }));
+  else console.error(`Error: ${text}`);
+  if (err instanceof UsageError) console.error(`\n${USAGE}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @title TimeLockedWallet
+/// @notice Holds ETH from anyone; only the owner can withdraw, and only once
+/// `unlockTime` has passed. The owner can push the unlock time further out.
+/// Compiled into src/vaultBytecode.json for the app's deploy wizard; its ABI
+/// is src/abi.json.
+contract TimeLockedWallet {
+    address public owner;
+    uint256 public unlockTime;
+
+    event Deposited(address indexed from, uint256 amount);
+    event Withdrawn(address indexed to, uint256 amount);
+    event LockExtended(uint256 oldUnlockTime, uint256 newUnlockTime);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not owner");
+        _;
+    }
+
+    constructor(uint256 _lockDuration) {
+        owner = msg.sender;
+        unlockTime = block.timestamp + _lockDuration;
+    }
+
+    function deposit() external payable {
+        require(msg.value > 0, "Must send ETH");
+        emit Deposited(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 _amount) external onlyOwner {
+        require(block.timestamp >= unlockTime, "Funds are still locked");
+        require(_amount <= address(this).balance, "Insufficient balance");
+        payable(owner).transfer(_amount);
+        emit Withdrawn(owner, _amount);
+    }
+
+    function extendLock(uint256 _additionalSeconds) external onlyOwner {
+        uint256 oldUnlockTime = unlockTime;
+        unlockTime += _additionalSeconds;
+        emit LockExtended(oldUnlockTime, unlockTime);
+    }
+
+    function getBalance() external view returns (uint256) {
+        return address(this).balance;
+    }
+}
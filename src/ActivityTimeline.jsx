@@ -0,0 +1,219 @@
+// src/ActivityTimeline.jsx
+import { useCallback, useEffect, useRef, useState } from "react";
+import { formatEther } from "ethers";
+import ExplorerAnchor from "./ExplorerAnchor";
+import { shortAddress } from "./display";
+
+const EVENT_LABELS = {
+  Deposited: { label: "Deposit", color: "#22c55e" },
+  Withdrawn: { label: "Withdraw", color: "#fb923c" },
+  LockExtended: { label: "Lock extended", color: "#38bdf8" },
+};
+
+const formatTimestamp = (seconds) =>
+  seconds > 0 ? new Date(seconds * 1000).toLocaleString() : "—";
+
+// `formatFiat(wei)` (optional) adds a fiat value at the current price.
+function ActivityTimeline({ client, network, reloadKey, formatFiat }) {
+  const [entries, setEntries] = useState([]);
+  const [nextToBlock, setNextToBlock] = useState(null);
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const sentinelRef = useRef(null);
+  const loadingRef = useRef(false);
+  // Id of the newest load. Any other load's result is stale (e.g. for the
+  // vault shown before) and dropped.
+  const requestRef = useRef(0);
+  // The client the listed entries came from.
+  const shownClientRef = useRef(null);
+
+  // Loads one page of older events. `toBlock` null means "start at the head".
+  // A page load waits for the one in flight; a replace load never waits, it
+  // supersedes whatever is running.
+  const loadPage = useCallback(
+    async (toBlock, replace) => {
+      if (!client || (loadingRef.current && !replace)) return;
+      const id = ++requestRef.current;
+      loadingRef.current = true;
+      setLoading(true);
+      setError("");
+      if (replace && shownClientRef.current !== client) {
+        shownClientRef.current = client;
+        setEntries([]);
+        setNextToBlock(null);
+        setDone(false);
+      }
+      try {
+        const page = await client.getHistoryPage({
+          toBlock: toBlock ?? undefined,
+        });
+        if (id !== requestRef.current) return;
+        const rows = page.entries;
+        setEntries((prev) => (replace ? rows : [...prev, ...rows]));
+        setNextToBlock(page.nextToBlock);
+        setDone(page.done);
+      } catch (err) {
+        console.error(err);
+        if (id === requestRef.current) {
+          setError("Could not load vault activity.");
+        }
+      } finally {
+        if (id === requestRef.current) {
+          loadingRef.current = false;
+          setLoading(false);
+        }
+      }
+    },
+    [client]
+  );
+
+  // Start over from the chain head whenever the vault changes or a new
+  // transaction from this tab confirms.
+  useEffect(() => {
+    loadPage(null, true);
+  }, [loadPage, reloadKey]);
+
+  // Infinite scroll: fetch the next page when the sentinel comes into view.
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || done || nextToBlock === null) return;
+
+    const observer = new IntersectionObserver((items) => {
+      if (items.some((item) => item.isIntersecting)) {
+        loadPage(nextToBlock, false);
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadPage, nextToBlock, done]);
+
+  return (
+    <section
+      style={{
+        marginTop: "1.6rem",
+        background: "#020617",
+        borderRadius: "14px",
+        padding: "1rem 1.2rem",
+        border: "1px solid rgba(148,163,184,0.25)",
+      }}
+    >
+      <h3
+        style={{
+          marginTop: 0,
+          marginBottom: "0.5rem",
+          fontSize: "1.02rem",
+          color: "#e5e7eb",
+        }}
+      >
+        Vault Activity
+      </h3>
+
+      {!client && (
+        <p style={{ margin: 0, fontSize: "0.88rem", color: "#9ca3af" }}>
+          {network?.vaultAddress
+            ? "Connect your wallet to load the vault's history."
+            : "No vault is configured for this network."}
+        </p>
+      )}
+
+      {client && (
+        <div
+          style={{
+            maxHeight: "320px",
+            overflowY: "auto",
+            fontSize: "0.86rem",
+          }}
+        >
+          {entries.map((entry) => {
+            const { label, color } = EVENT_LABELS[entry.type];
+            return (
+              <div
+                key={entry.key}
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "110px 1fr auto",
+                  gap: "0.6rem",
+                  alignItems: "center",
+                  padding: "0.45rem 0",
+                  borderBottom: "1px solid rgba(148,163,184,0.12)",
+                }}
+              >
+                <span style={{ color, fontWeight: 600 }}>{label}</span>
+                <span style={{ color: "#cbd5f5" }}>
+                  {entry.amount !== null
+                    ? `${formatEther(entry.amount)} ETH`
+                    : `until ${formatTimestamp(entry.newUnlockTime)}`}
+                  {entry.amount !== null && formatFiat?.(entry.amount) && (
+                    <span
+                      style={{ color: "#9ca3af" }}
+                      title="At the current price"
+                    >
+                      {" "}
+                      ≈ {formatFiat(entry.amount)}
+                    </span>
+                  )}
+                  <span style={{ color: "#9ca3af" }}>
+                    {" "}
+                    by{" "}
+                    <ExplorerAnchor
+                      network={network}
+                      kind="address"
+                      value={entry.actor}
+                    >
+                      {shortAddress(entry.actor)}
+                    </ExplorerAnchor>
+                  </span>
+                </span>
+                <span style={{ color: "#9ca3af", textAlign: "right" }}>
+                  {formatTimestamp(entry.timestamp)}
+                  <br />
+                  <ExplorerAnchor
+                    network={network}
+                    kind="tx"
+                    value={entry.txHash}
+                  >
+                    #{entry.blockNumber}
+                  </ExplorerAnchor>
+                </span>
+              </div>
+            );
+          })}
+
+          {!loading && done && entries.length === 0 && (
+            <p style={{ margin: 0, color: "#9ca3af" }}>
+              No deposits, withdrawals or lock extensions yet.
+            </p>
+          )}
+          {error && (
+            <p style={{ margin: "0.4rem 0", color: "#f87171" }}>
+              {error}{" "}
+              <button
+                onClick={() => loadPage(nextToBlock, entries.length === 0)}
+                style={{
+                  background: "none",
+                  border: "none",
+                  color: "#38bdf8",
+                  cursor: "pointer",
+                  padding: 0,
+                  fontSize: "0.86rem",
+                }}
+              >
+                Retry
+              </button>
+            </p>
+          )}
+          {loading && (
+            <p style={{ margin: "0.4rem 0", color: "#9ca3af" }}>
+              Loading activity...
+            </p>
+          )}
+          <div ref={sentinelRef} style={{ height: "1px" }} />
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default ActivityTimeline;
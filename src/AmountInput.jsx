@@ -0,0 +1,98 @@
+// src/AmountInput.jsx
+import { AMOUNT_UNITS, formatAmount, parseAmount } from "./lib/amounts";
+
+const fieldStyle = {
+  padding: "0.45rem 0.6rem",
+  borderRadius: "8px",
+  border: "1px solid rgba(148,163,184,0.45)",
+  background: "#020617",
+  color: "#e5e7eb",
+  fontSize: "0.9rem",
+};
+
+// Amount field with a unit selector and an optional Max button, shared by
+// the deposit and withdraw forms. The text stays a string; parse it with
+// parseAmount(value, unit). `error` is shown under the field.
+function AmountInput({
+  value,
+  unit,
+  onChange,
+  onUnitChange,
+  onMax,
+  maxDisabled,
+  maxTitle,
+  error,
+  disabled,
+}) {
+  // Keep the amount when switching units: 1.5 ETH becomes 1500000000 gwei.
+  const changeUnit = (next) => {
+    const { wei } = parseAmount(value, unit);
+    if (wei !== null) onChange(formatAmount(wei, next));
+    onUnitChange(next);
+  };
+
+  return (
+    <div
+      style={{
+        flex: 1,
+        display: "flex",
+        flexDirection: "column",
+        gap: "0.3rem",
+        minWidth: 0,
+      }}
+    >
+      <div style={{ display: "flex", gap: "0.3rem" }}>
+        <input
+          type="text"
+          inputMode="decimal"
+          autoComplete="off"
+          placeholder={`Amount in ${unit}`}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          aria-invalid={Boolean(error)}
+          style={{
+            ...fieldStyle,
+            flex: 1,
+            minWidth: 0,
+            border: error ? "1px solid #f87171" : fieldStyle.border,
+          }}
+        />
+        <select
+          value={unit}
+          onChange={(e) => changeUnit(e.target.value)}
+          disabled={disabled}
+          style={{ ...fieldStyle, padding: "0.45rem 0.3rem" }}
+        >
+          {Object.keys(AMOUNT_UNITS).map((u) => (
+            <option key={u} value={u}>
+              {u}
+            </option>
+          ))}
+        </select>
+        {onMax && (
+          <button
+            type="button"
+            onClick={onMax}
+            disabled={disabled || maxDisabled}
+            title={maxTitle}
+            style={{
+              ...fieldStyle,
+              cursor: maxDisabled ? "not-allowed" : "pointer",
+              opacity: maxDisabled ? 0.5 : 1,
+              color: "#38bdf8",
+              fontSize: "0.8rem",
+            }}
+          >
+            Max
+          </button>
+        )}
+      </div>
+      {error && (
+        <span style={{ fontSize: "0.8rem", color: "#f87171" }}>{error}</span>
+      )}
+    </div>
+  );
+}
+
+export default AmountInput;
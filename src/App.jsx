@@ -1,77 +1,604 @@
 // src/App.jsx
-import { useEffect, useState } from "react";
-import { BrowserProvider, Contract, parseEther, formatEther } from "ethers";
-import abi from "./abi.json";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { BrowserProvider, getAddress, formatEther } from "ethers";
+import ActivityTimeline from "./ActivityTimeline";
+import StatementExport from "./StatementExport";
+import DepositLedger from "./DepositLedger";
+import DeployVault from "./DeployVault";
+import VaultDashboard from "./VaultDashboard";
+import UnlockReminder from "./UnlockReminder";
+import VaultVerification from "./VaultVerification";
+import useVaultVerification from "./useVaultVerification";
+import { deployVault } from "./lib/deploy";
+import {
+  addSavedVault,
+  applySelectedVault,
+  loadSavedVaults,
+  selectVault,
+  storeSavedVaults,
+  vaultsForNetwork,
+} from "./savedVaults";
+import ExplorerAnchor from "./ExplorerAnchor";
+import {
+  loadNetworkRegistry,
+  findNetwork,
+  normalizeChainId,
+  switchToNetwork,
+  getReadProvider,
+} from "./networks";
+import WalletPicker from "./WalletPicker";
+import RoleBadge from "./RoleBadge";
+import RpcHealth from "./RpcHealth";
+import { TimeLockedWalletClient } from "./lib/TimeLockedWalletClient";
+import { classifyError, describeError } from "./lib/errors";
+import { LOCK_UNITS, planLockExtension } from "./lib/duration";
+import useTimeLockedWallet from "./useTimeLockedWallet";
+import useChainClock from "./useChainClock";
+import useTransactionTracker from "./useTransactionTracker";
+import TransactionList from "./TransactionList";
+import AmountInput from "./AmountInput";
+import FeePreview from "./FeePreview";
+import PriceSettings from "./PriceSettings";
+import useFiatPrice from "./useFiatPrice";
+import useFees from "./useFees";
+import useGasEstimate from "./useGasEstimate";
+import { estimateTxCost, resolveFeeOverrides } from "./lib/fees";
+import { formatAmount, parseAmount } from "./lib/amounts";
+import {
+  formatCountdown,
+  formatInTimeZone,
+  listTimeZones,
+  LOCAL_TIME_ZONE,
+  zonedTimeToUnix,
+} from "./time";
+import {
+  discoverWallets,
+  walletId,
+  loadRememberedWalletId,
+  rememberWallet,
+  loadSession,
+  storeSession,
+  getAuthorizedAccounts,
+  revokeWalletAccess,
+} from "./wallets";
 
-const CONTRACT_ADDRESS = "0x85CeaE21aEE270cfe6d6829f02B1eB49f58B7AbE";
-const SEPOLIA_CHAIN_ID = "0xaa36a7"; // 11155111 in hex
+const NETWORKS = loadNetworkRegistry();
+const TIME_ZONES = listTimeZones();
+// Locks running longer than this past the latest block need a confirmation.
+const LONG_LOCK_SECONDS = 365 * 24 * 60 * 60;
+
+// The chain viewed last time, unless the URL asks for a network or vault.
+const initialChainId = () => {
+  const params = new URLSearchParams(window.location.search);
+  const remembered = loadSession().chainId;
+  if (params.has("chain") || params.has("vault")) {
+    return NETWORKS.defaultChainId;
+  }
+  return findNetwork(NETWORKS, remembered)
+    ? remembered
+    : NETWORKS.defaultChainId;
+};
 
 function App() {
   const [walletAddress, setWalletAddress] = useState("");
-  const [network, setNetwork] = useState("");
-  const [balance, setBalance] = useState("0");
-  const [unlockTime, setUnlockTime] = useState(0);
+  const [chainId, setChainId] = useState(initialChainId);
+  // { account, client, isDepositor } for the last account checked against
+  // Deposited logs; the ref adds `scannedTo`, the last block searched.
+  const [depositorCheck, setDepositorCheck] = useState(null);
+  const depositorScanRef = useRef(null);
   const [depositAmount, setDepositAmount] = useState("");
   const [withdrawAmount, setWithdrawAmount] = useState("");
+  const [depositUnit, setDepositUnit] = useState("ETH");
+  const [withdrawUnit, setWithdrawUnit] = useState("ETH");
   const [status, setStatus] = useState("");
-  const [lastTxHash, setLastTxHash] = useState("");
+  // hash of the transaction a speed-up / cancel is being prepared for
+  const [replacingHash, setReplacingHash] = useState("");
+  // Wallet-backed provider; only used for reads on chains without an RPC URL.
+  const [walletProvider, setWalletProvider] = useState(null);
 
   // lock UI state
   const [lockDurationValue, setLockDurationValue] = useState("");
   const [lockDurationUnit, setLockDurationUnit] = useState("minutes");
+  // "duration" (from the latest block) or "until" (absolute date)
+  const [lockMode, setLockMode] = useState("duration");
+  const [lockUntilLocal, setLockUntilLocal] = useState("");
+  const [lockTimeZone, setLockTimeZone] = useState(LOCAL_TIME_ZONE);
+  // Fee speed shared by all write forms; custom values are gwei strings.
+  const [feeChoice, setFeeChoice] = useState({
+    preset: "normal",
+    maxFeeGwei: "",
+    priorityGwei: "",
+  });
+  const [switchingNetwork, setSwitchingNetwork] = useState(false);
 
-  // ---- Helpers ----
-  const getProvider = () => {
-    if (!window.ethereum) {
-      alert("Please install MetaMask!");
-      throw new Error("MetaMask not found");
+  // wallet selection (EIP-6963)
+  const [wallets, setWallets] = useState([]);
+  const [selectedWallet, setSelectedWallet] = useState(null);
+  const [showWalletPicker, setShowWalletPicker] = useState(false);
+  // Mirrors selectedWallet so handlers running right after a pick (before the
+  // next render) already talk to the chosen provider.
+  const walletRef = useRef(null);
+
+  // Deployed / added vaults, and which one is selected on each chain.
+  const [savedVaults, setSavedVaults] = useState(loadSavedVaults);
+
+  const activeNetwork = applySelectedVault(
+    findNetwork(NETWORKS, chainId),
+    savedVaults
+  );
+  const contractAddress = activeNetwork?.vaultAddress || "";
+  // Reads go through the network's own RPC so the vault can be viewed
+  // without a wallet; the wallet is only a fallback for RPC-less chains.
+  const readRunner = getReadProvider(activeNetwork) || walletProvider;
+
+  // Loads the vault on mount and on every vault / chain change, and keeps it
+  // fresh on Deposited / Withdrawn / LockExtended events from any sender.
+  const {
+    client,
+    state: vault,
+    error: readError,
+    version: dataVersion,
+    refresh,
+  } = useTimeLockedWallet({
+    address: contractAddress,
+    runner: readRunner,
+    deployBlock: activeNetwork?.deployBlock || 0,
+  });
+  const balance = formatEther(vault.balance);
+  const verification = useVaultVerification({
+    address: contractAddress,
+    runner: readRunner,
+    reloadKey: dataVersion,
+  });
+
+  // The wallet sees its own pending transactions first, so prefer it.
+  const {
+    transactions,
+    track: trackTransaction,
+    speedUp,
+    cancel: cancelTx,
+    clearSettled,
+  } = useTransactionTracker({
+    chainId: normalizeChainId(chainId),
+    provider: walletProvider || readRunner,
+  });
+  const { unlockTime, owner } = vault;
+
+  const networkLabel = walletAddress
+    ? activeNetwork?.name || `Chain: ${chainId}`
+    : `${activeNetwork?.name || "Unknown"} (read-only)`;
+  // Connected, but to a chain with no vault: reads fail and writes are blocked.
+  const wrongNetwork = Boolean(walletAddress) && !contractAddress;
+  const writeBlockedReason = !walletAddress
+    ? "Connect a wallet to send transactions."
+    : wrongNetwork
+      ? "Switch to a supported network before sending transactions."
+      : "";
+  // Money only goes to an address whose code is a known vault build. A
+  // check that is still running, or could not run, blocks deposits too.
+  const vaultCodeReason =
+    !contractAddress || verification.result?.status === "verified"
+      ? ""
+      : verification.checking
+        ? "Deposits are paused while the vault's contract code is checked."
+        : verification.result
+          ? `Deposits are blocked: this is not a known MetaLocked vault. ${verification.result.checks
+              .filter((check) => check.ok !== true)
+              .map((check) => `${check.label}: ${check.detail}`)
+              .join(" ")} Check the vault address before sending funds.`
+          : `Deposits are blocked: the vault's contract code could not be checked${
+              verification.error ? ` (${verification.error})` : ""
+            }. Refresh to try again.`;
+  const depositBlockedReason = writeBlockedReason || vaultCodeReason;
+  const isOwner =
+    Boolean(walletAddress && owner) &&
+    walletAddress.toLowerCase() === owner.toLowerCase();
+  const isDepositor =
+    depositorCheck?.account === walletAddress.toLowerCase() &&
+    depositorCheck.client === client &&
+    depositorCheck.isDepositor;
+  const role = isOwner ? "owner" : isDepositor ? "depositor" : "viewer";
+  // Withdraw and extendLock are onlyOwner in the contract.
+  const ownerOnlyReason = wrongNetwork
+    ? writeBlockedReason
+    : !walletAddress
+      ? "Connect the owner's wallet to use this."
+      : !isOwner
+        ? `Only the vault owner${owner ? ` (${owner})` : ""} can do this; you are connected as a ${role}.`
+        : "";
+
+  const { chainNow, latestBlockTime } = useChainClock(readRunner);
+  const fiat = useFiatPrice({
+    networks: NETWORKS.networks,
+    activeNetwork,
+  });
+  const lockKnown = unlockTime > 0 && chainNow > 0;
+  const isUnlocked = lockKnown && chainNow >= unlockTime;
+  const formattedUnlockTime =
+    unlockTime > 0 ? new Date(unlockTime * 1000).toLocaleString() : "—";
+  const withdrawBlockedReason =
+    ownerOnlyReason ||
+    (lockKnown && !isUnlocked
+      ? `The vault is locked until ${formattedUnlockTime} (block time).`
+      : "");
+  const vaultNetworks = NETWORKS.networks
+    .map((n) => applySelectedVault(n, savedVaults))
+    .filter((n) => n.vaultAddress);
+  const vaultOptions = vaultsForNetwork(
+    findNetwork(NETWORKS, chainId),
+    savedVaults
+  );
+  // Every known vault on every network, for the dashboard.
+  const allVaults = useMemo(
+    () =>
+      NETWORKS.networks.flatMap((network) =>
+        vaultsForNetwork(network, savedVaults).map((v) => ({ ...v, network }))
+      ),
+    [savedVaults]
+  );
+
+  // ---- Lock extension preview ----
+  // Counted from the latest block, the clock the contract checks; the
+  // handler repeats this against a fresh read before sending.
+  const lockUntil =
+    lockMode === "until" ? zonedTimeToUnix(lockUntilLocal, lockTimeZone) : null;
+  const lockTarget =
+    lockMode === "until"
+      ? lockUntil !== null
+        ? { until: lockUntil }
+        : null
+      : Number(lockDurationValue) > 0
+        ? { value: Number(lockDurationValue), unit: lockDurationUnit }
+        : null;
+  let lockPlan = null;
+  let lockPlanError = "";
+  if (lockTarget && latestBlockTime > 0 && unlockTime > 0) {
+    try {
+      lockPlan = planLockExtension({
+        blockTimestamp: latestBlockTime,
+        unlockTime,
+        ...lockTarget,
+      });
+      if (lockPlan.additionalSeconds <= 0) {
+        lockPlanError = `The new unlock time must be later than the current one (${formatInTimeZone(
+          unlockTime,
+          lockTimeZone
+        )}).`;
+      }
+    } catch (err) {
+      lockPlanError = err.message;
     }
-    return new BrowserProvider(window.ethereum);
+  }
+
+  // ---- Fees ----
+  const { suggestions: feeSuggestions, walletBalance } = useFees({
+    runner: readRunner,
+    account: walletAddress,
+  });
+  let feeOverrides = null;
+  let feeChoiceError = "";
+  try {
+    feeOverrides = resolveFeeOverrides(feeSuggestions, feeChoice);
+  } catch (err) {
+    feeChoiceError = err?.shortMessage || err.message;
+  }
+  const feePreviewProps = {
+    suggestions: feeSuggestions,
+    choice: feeChoice,
+    onChoiceChange: setFeeChoice,
+    overrides: feeOverrides,
+    choiceError: feeChoiceError,
+  };
+
+  const depositInput = parseAmount(depositAmount, depositUnit);
+  const withdrawInput = parseAmount(withdrawAmount, withdrawUnit);
+  const depositWei = depositInput.wei;
+  const withdrawWei = withdrawInput.wei;
+  const depositAmountError =
+    depositInput.error ||
+    (depositWei !== null && walletBalance !== null && depositWei > walletBalance
+      ? `More than your wallet balance (${formatEther(walletBalance)} ETH).`
+      : "");
+  const withdrawAmountError =
+    withdrawInput.error ||
+    (withdrawWei !== null && withdrawWei > vault.balance
+      ? `More than the vault balance (${balance} ETH).`
+      : "");
+  const depositGas = useGasEstimate({
+    client,
+    from: walletAddress,
+    method: "deposit",
+    value: depositWei ?? undefined,
+    enabled: !depositBlockedReason && depositWei !== null,
+  });
+  const withdrawGas = useGasEstimate({
+    client,
+    from: walletAddress,
+    method: "withdraw",
+    arg: withdrawWei ?? undefined,
+    enabled: !withdrawBlockedReason && withdrawWei !== null,
+  });
+  const extendGas = useGasEstimate({
+    client,
+    from: walletAddress,
+    method: "extendLock",
+    arg: lockPlan?.additionalSeconds,
+    enabled: !ownerOnlyReason && Boolean(lockPlan) && !lockPlanError,
+  });
+
+  // The wallet has to hold the deposit plus the worst-case fee.
+  const depositCost =
+    depositGas.gasLimit && feeOverrides
+      ? estimateTxCost(depositGas.gasLimit, feeOverrides, feeSuggestions?.baseFee)
+      : null;
+  const depositFundsReason =
+    depositWei !== null &&
+    !depositAmountError &&
+    walletBalance !== null &&
+    depositWei + (depositCost?.max || 0n) > walletBalance
+      ? `Deposit plus max network fee (${formatEther(
+          depositWei + (depositCost?.max || 0n)
+        )} ETH) exceeds your wallet balance (${formatEther(walletBalance)} ETH).`
+      : "";
+
+  // ---- Helpers ----
+  const getEthereum = () => {
+    if (!walletRef.current) throw new Error("No wallet selected");
+    return walletRef.current.provider;
   };
 
-  const getSignerAndContract = async () => {
+  const getProvider = () => new BrowserProvider(getEthereum());
+
+  // The account shown in the UI, which a restored session may have picked
+  // from several authorised ones.
+  const getSigner = (provider = getProvider()) =>
+    provider.getSigner(walletAddress || undefined);
+
+  const selectWallet = (wallet) => {
+    walletRef.current = wallet;
+    setSelectedWallet(wallet);
+    rememberWallet(wallet);
+  };
+
+  // The vault is resolved from the wallet's current chain rather than React
+  // state, so calls made right after a chain change hit the right contract.
+  const getWriteClient = async () => {
     const provider = getProvider();
-    const signer = await provider.getSigner();
-    const contract = new Contract(CONTRACT_ADDRESS, abi, signer);
-    return { signer, contract, provider };
+    const { chainId: currentChainId } = await provider.getNetwork();
+    const target = applySelectedVault(
+      findNetwork(NETWORKS, currentChainId),
+      savedVaults
+    );
+    if (!target?.vaultAddress) {
+      throw new Error("No vault is configured for the connected network.");
+    }
+    const signer = await getSigner(provider);
+    return new TimeLockedWalletClient({
+      address: target.vaultAddress,
+      runner: signer,
+      deployBlock: target.deployBlock,
+    });
   };
 
   // ---- Wallet connect ----
   const connectWallet = async () => {
-    try {
-      if (!window.ethereum) {
-        alert("Please install MetaMask!");
+    if (!walletRef.current) {
+      if (wallets.length === 0) {
+        setStatus(
+          "No Ethereum wallet found. Install MetaMask or another browser wallet."
+        );
+        return;
+      }
+      if (wallets.length > 1) {
+        setShowWalletPicker(true);
         return;
       }
-      const accounts = await window.ethereum.request({
+      selectWallet(wallets[0]);
+    }
+
+    try {
+      const ethereum = getEthereum();
+      const accounts = await ethereum.request({
         method: "eth_requestAccounts",
       });
       const address = accounts[0];
       setWalletAddress(address);
 
-      const chainId = await window.ethereum.request({
+      const currentChainId = await ethereum.request({
         method: "eth_chainId",
       });
-      setNetwork(chainId === SEPOLIA_CHAIN_ID ? "Sepolia" : `Chain: ${chainId}`);
+      setChainId(currentChainId);
+      setWalletProvider(getProvider());
+    } catch (err) {
+      console.error(err);
+      setStatus(describeError("Wallet connection", err));
+    }
+  };
 
-      await refreshOnChainData();
+  // Forgets the session and asks the wallet to drop this site's access.
+  // Vault and network choices are kept; the app stays usable read-only.
+  const disconnectWallet = async () => {
+    let revoked = false;
+    try {
+      if (walletRef.current) {
+        revoked = await revokeWalletAccess(walletRef.current.provider);
+      }
     } catch (err) {
       console.error(err);
-      setStatus("Failed to connect wallet.");
     }
+    storeSession({ ...loadSession(), account: "" });
+    walletRef.current = null;
+    setSelectedWallet(null);
+    rememberWallet(null);
+    setWalletAddress("");
+    setWalletProvider(null);
+    setDepositorCheck(null);
+    depositorScanRef.current = null;
+    setReplacingHash("");
+    setDepositAmount("");
+    setWithdrawAmount("");
+    setShowWalletPicker(false);
+    setStatus(
+      revoked
+        ? "Disconnected."
+        : "Disconnected. This wallet can't revoke access from here; remove the site from its connected sites to fully disconnect."
+    );
+  };
+
+  const pickWallet = async (wallet) => {
+    setShowWalletPicker(false);
+    if (walletId(wallet) !== walletId(walletRef.current)) {
+      setWalletAddress("");
+      setWalletProvider(null);
+    }
+    selectWallet(wallet);
+    await connectWallet();
+  };
+
+  // ---- Network switching ----
+  const switchNetwork = async (target) => {
+    try {
+      setSwitchingNetwork(true);
+      setStatus(`Switching to ${target.name}...`);
+      await switchToNetwork(getEthereum(), target);
+      // The chainChanged listener picks up the new chain and refreshes data.
+      setStatus(`Switched to ${target.name}.`);
+    } catch (err) {
+      console.error(err);
+      setStatus(describeError("Network switch", err));
+    } finally {
+      setSwitchingNetwork(false);
+    }
+  };
+
+  // ---- Vault dashboard ----
+  const openVault = (vault) => {
+    setSavedVaults((prev) => selectVault(prev, vault.chainId, vault.address));
+    if (vault.chainId === normalizeChainId(chainId)) return;
+    if (walletAddress) {
+      switchNetwork(vault.network);
+    } else {
+      setChainId(vault.chainId);
+    }
+  };
+
+  const watchVault = ({ chainId: vaultChainId, address, label }) => {
+    setSavedVaults((prev) =>
+      addSavedVault(prev, {
+        chainId: vaultChainId,
+        address: getAddress(address),
+        label,
+        deployBlock: 0,
+      })
+    );
+  };
+
+  // ---- Deploy a new vault ----
+  const deployNewVault = async (lockSeconds, label) => {
+    const provider = getProvider();
+    const { chainId: currentChainId } = await provider.getNetwork();
+    const target = findNetwork(NETWORKS, currentChainId);
+    if (!target) {
+      throw new Error("Switch to a supported network to deploy a vault.");
+    }
+    const signer = await getSigner(provider);
+    setStatus("Confirm the deployment in your wallet...");
+    const deployed = await deployVault(signer, lockSeconds, {
+      overrides: feeOverrides || {},
+      onSent: (tx) => {
+        setStatus("Deployment pending... waiting for confirmation.");
+        trackTransaction(tx, { kind: "deploy", label: `Deploy ${label}` });
+      },
+    });
+    setSavedVaults((prev) =>
+      selectVault(
+        addSavedVault(prev, {
+          chainId: target.chainId,
+          address: deployed.address,
+          label,
+          deployBlock: deployed.deployBlock,
+        }),
+        target.chainId,
+        deployed.address
+      )
+    );
+    setStatus(`Deployed ${label} at ${deployed.address}.`);
+    return deployed;
   };
 
   // ---- Read functions ----
   const refreshOnChainData = async () => {
+    const state = await refresh();
+    if (!state) setStatus("Could not read contract data.");
+  };
+
+  // Waits for `tx` through the tracker (which follows speed-ups and
+  // cancellations) and reports how it ended.
+  const awaitTransaction = async (tx, kind, label, successMessage) => {
+    setStatus(`${label} pending... waiting for confirmation.`);
+    const result = await trackTransaction(tx, { kind, label });
+    const messages = {
+      confirmed: successMessage,
+      "sped-up": successMessage,
+      failed: `${label} failed on-chain.`,
+      cancelled: `${label} was cancelled.`,
+      replaced: `${label} was replaced by another transaction.`,
+      dropped: `${label} was dropped by the network.`,
+    };
+    setStatus(messages[result.status] || successMessage);
+    return result.status === "confirmed" || result.status === "sped-up";
+  };
+
+  const replaceTransaction = async (record, action) => {
+    try {
+      setReplacingHash(record.hash);
+      const signer = await getSigner();
+      const tx =
+        action === "cancel"
+          ? await cancelTx(record, signer)
+          : await speedUp(record, signer);
+      setStatus(
+        action === "cancel"
+          ? `Cancellation sent (${tx.hash.slice(0, 10)}...).`
+          : `Speed-up sent (${tx.hash.slice(0, 10)}...).`
+      );
+    } catch (err) {
+      console.error(err);
+      setStatus(
+        describeError(action === "cancel" ? "Cancellation" : "Speed-up", err)
+      );
+    } finally {
+      setReplacingHash("");
+    }
+  };
+
+  // Says whether anything was sent and what the user can do next.
+  const describeWriteError = (action, err) =>
+    describeError(action, err, { unlockTime });
+
+  // ---- Max buttons ----
+  // Everything in the wallet minus the worst-case fee of the deposit itself.
+  const fillMaxDeposit = async () => {
     try {
-      const { contract } = await getSignerAndContract();
-      const bal = await contract.getBalance();
-      const unlock = await contract.unlockTime();
-      setBalance(formatEther(bal));
-      setUnlockTime(Number(unlock));
+      const gasLimit =
+        depositGas.gasLimit ??
+        (await client.estimateGas("deposit", [], {
+          from: walletAddress,
+          value: 1n,
+        }));
+      const { max } = estimateTxCost(
+        gasLimit,
+        feeOverrides,
+        feeSuggestions?.baseFee
+      );
+      if (walletBalance <= max) {
+        setStatus("Your wallet balance doesn't cover the network fee.");
+        return;
+      }
+      setDepositAmount(formatAmount(walletBalance - max, depositUnit));
     } catch (err) {
       console.error(err);
-      setStatus("Could not read contract data.");
+      setStatus(describeWriteError("Max deposit", err));
     }
   };
 
@@ -79,26 +606,39 @@ function App() {
   const handleDeposit = async (e) => {
     e.preventDefault();
     try {
-      if (!depositAmount || Number(depositAmount) <= 0) {
-        setStatus("Enter a positive deposit amount.");
+      if (depositBlockedReason) {
+        setStatus(depositBlockedReason);
         return;
       }
 
-      setStatus("Sending deposit transaction...");
-      const { contract } = await getSignerAndContract();
-      const tx = await contract.deposit({
-        value: parseEther(depositAmount),
-      });
-      setLastTxHash(tx.hash);
-      setStatus("Deposit pending... waiting for confirmation.");
-      await tx.wait();
-      setStatus("Deposit successful!");
+      if (depositWei === null || depositAmountError) {
+        setStatus(depositAmountError || "Enter a positive deposit amount.");
+        return;
+      }
+
+      if (depositFundsReason) {
+        setStatus(depositFundsReason);
+        return;
+      }
+
+      if (feeChoiceError) {
+        setStatus(feeChoiceError);
+        return;
+      }
+
+      setStatus("Simulating deposit...");
+      const writeClient = await getWriteClient();
+      const tx = await writeClient.deposit(depositWei, feeOverrides || {});
+      await awaitTransaction(
+        tx,
+        "deposit",
+        `Deposit ${formatEther(depositWei)} ETH`,
+        "Deposit successful!"
+      );
       await refreshOnChainData();
     } catch (err) {
       console.error(err);
-      setStatus(
-        "Deposit failed: " + (err?.reason || err?.message || "Unknown error")
-      );
+      setStatus(describeWriteError("Deposit", err));
     }
   };
 
@@ -106,24 +646,34 @@ function App() {
   const handleWithdraw = async (e) => {
     e.preventDefault();
     try {
-      if (!withdrawAmount || Number(withdrawAmount) <= 0) {
-        setStatus("Enter a positive withdraw amount.");
+      if (withdrawBlockedReason) {
+        setStatus(withdrawBlockedReason);
+        return;
+      }
+
+      if (withdrawWei === null || withdrawAmountError) {
+        setStatus(withdrawAmountError || "Enter a positive withdraw amount.");
+        return;
+      }
+
+      if (feeChoiceError) {
+        setStatus(feeChoiceError);
         return;
       }
 
-      setStatus("Sending withdraw transaction...");
-      const { contract } = await getSignerAndContract();
-      const tx = await contract.withdraw(parseEther(withdrawAmount));
-      setLastTxHash(tx.hash);
-      setStatus("Withdraw pending... waiting for confirmation.");
-      await tx.wait();
-      setStatus("Withdraw successful!");
+      setStatus("Simulating withdraw...");
+      const writeClient = await getWriteClient();
+      const tx = await writeClient.withdraw(withdrawWei, feeOverrides || {});
+      await awaitTransaction(
+        tx,
+        "withdraw",
+        `Withdraw ${formatEther(withdrawWei)} ETH`,
+        "Withdraw successful!"
+      );
       await refreshOnChainData();
     } catch (err) {
       console.error(err);
-      setStatus(
-        "Withdraw failed: " + (err?.reason || err?.message || "Unknown error")
-      );
+      setStatus(describeWriteError("Withdraw", err));
     }
   };
 
@@ -131,87 +681,197 @@ function App() {
   const handleExtendLock = async (e) => {
     e.preventDefault();
     try {
-      const valueNum = Number(lockDurationValue);
-      if (!valueNum || valueNum <= 0) {
-        setStatus("Enter a positive lock duration.");
+      if (ownerOnlyReason) {
+        setStatus(ownerOnlyReason);
         return;
       }
 
-      if (!unlockTime) {
-        await refreshOnChainData();
+      if (!lockTarget) {
+        setStatus(
+          lockMode === "until"
+            ? "Pick the date and time to lock until."
+            : "Enter a positive lock duration."
+        );
+        return;
       }
 
-      let durationSeconds = valueNum;
-      switch (lockDurationUnit) {
-        case "minutes":
-          durationSeconds *= 60;
-          break;
-        case "hours":
-          durationSeconds *= 60 * 60;
-          break;
-        case "days":
-          durationSeconds *= 60 * 60 * 24;
-          break;
-        case "seconds":
-        default:
-          break;
+      if (feeChoiceError) {
+        setStatus(feeChoiceError);
+        return;
       }
 
-      const now = Math.floor(Date.now() / 1000);
-      const desiredEnd = now + durationSeconds;
-      const additionalSeconds = desiredEnd - unlockTime;
-
-      if (additionalSeconds <= 0) {
-        setStatus("New lock time must be later than the current unlock time.");
+      // Re-plan against a fresh unlockTime and block timestamp, so neither
+      // the local clock nor cached state decides the extension.
+      setStatus("Reading the latest block and unlock time...");
+      const writeClient = await getWriteClient();
+      const plan = await writeClient.previewLockExtension(lockTarget);
+      const newUnlock = formatInTimeZone(plan.newUnlockTime, lockTimeZone);
+      if (plan.additionalSeconds <= 0) {
+        setStatus(
+          `The new unlock time (${newUnlock}) must be later than the current one (${formatInTimeZone(
+            plan.unlockTime,
+            lockTimeZone
+          )}).`
+        );
+        return;
+      }
+      if (
+        plan.lockSeconds > LONG_LOCK_SECONDS &&
+        !window.confirm(
+          `This locks the vault until ${newUnlock}, about ${Math.round(
+            plan.lockSeconds / 86400
+          )} days from now. Nothing can be withdrawn before then. Continue?`
+        )
+      ) {
+        setStatus("Lock extension cancelled.");
         return;
       }
 
-      setStatus("Sending extendLock transaction...");
-      const { contract } = await getSignerAndContract();
-      const tx = await contract.extendLock(additionalSeconds);
-      setLastTxHash(tx.hash);
-      setStatus("Extend lock pending... waiting for confirmation.");
-      await tx.wait();
-      setStatus("Lock extended successfully!");
-      setLockDurationValue("");
+      setStatus("Simulating extendLock...");
+      const tx = await writeClient.extendLockBy(
+        plan.additionalSeconds,
+        feeOverrides || {}
+      );
+      const extended = await awaitTransaction(
+        tx,
+        "extendLock",
+        `Extend lock until ${newUnlock}`,
+        "Lock extended successfully!"
+      );
+      if (extended) {
+        setLockDurationValue("");
+        setLockUntilLocal("");
+      }
       await refreshOnChainData();
     } catch (err) {
       console.error(err);
-      setStatus(
-        "Extend lock failed: " + (err?.reason || err?.message || "Unknown error")
-      );
+      setStatus(describeWriteError("Extend lock", err));
     }
   };
 
-  // Listen for account / network changes
   useEffect(() => {
-    if (!window.ethereum) return;
+    storeSavedVaults(savedVaults);
+  }, [savedVaults]);
 
-    const handleAccountsChanged = (accounts) => {
-      if (accounts.length > 0) {
-        setWalletAddress(accounts[0]);
-        refreshOnChainData();
-      } else {
-        setWalletAddress("");
+  // Only an explicit disconnect clears the remembered account.
+  useEffect(() => {
+    storeSession({
+      ...loadSession(),
+      chainId: normalizeChainId(chainId),
+      ...(walletAddress && { account: walletAddress }),
+    });
+  }, [chainId, walletAddress]);
+
+  // Has the connected account ever deposited? Decides Depositor vs Viewer.
+  // The first check scans from the deploy block; refreshes after that only
+  // look at blocks added since, and stop once a deposit is found.
+  useEffect(() => {
+    if (!walletAddress || !client) return;
+    const account = walletAddress.toLowerCase();
+    const previous = depositorScanRef.current;
+    const resume = previous?.account === account && previous.client === client;
+    if (resume && previous.isDepositor) return;
+    let cancelled = false;
+
+    const checkDeposits = async () => {
+      try {
+        const toBlock = await client.provider.getBlockNumber();
+        const fromBlock = resume ? previous.scannedTo + 1 : undefined;
+        if (fromBlock > toBlock) return;
+        const deposits = await client.getLogs({
+          event: "Deposited",
+          account: walletAddress,
+          fromBlock,
+          toBlock,
+        });
+        if (cancelled) return;
+        const check = { account, client, isDepositor: deposits.length > 0 };
+        depositorScanRef.current = { ...check, scannedTo: toBlock };
+        setDepositorCheck(check);
+      } catch (err) {
+        console.error(err);
       }
     };
 
-    const handleChainChanged = () => {
-      window.location.reload();
+    checkDeposits();
+    return () => {
+      cancelled = true;
     };
+  }, [walletAddress, client, dataVersion]);
 
-    window.ethereum.on("accountsChanged", handleAccountsChanged);
-    window.ethereum.on("chainChanged", handleChainChanged);
+  // Discover installed wallets and restore the one picked on a past visit.
+  useEffect(() => {
+    const rememberedId = loadRememberedWalletId();
+    return discoverWallets((found) => {
+      setWallets(found);
+      if (!walletRef.current && rememberedId) {
+        const remembered = found.find((w) => walletId(w) === rememberedId);
+        if (remembered) {
+          walletRef.current = remembered;
+          setSelectedWallet(remembered);
+        }
+      }
+    });
+  }, []);
+
+  // Reconnect without a prompt if the wallet still authorises this site,
+  // preferring the account used last time.
+  useEffect(() => {
+    const ethereum = selectedWallet?.provider;
+    const { account } = loadSession();
+    if (!ethereum || !account) return;
+    let cancelled = false;
+
+    const restoreSession = async () => {
+      try {
+        const accounts = await getAuthorizedAccounts(ethereum);
+        if (cancelled || accounts.length === 0) return;
+        const currentChainId = await ethereum.request({
+          method: "eth_chainId",
+        });
+        if (cancelled) return;
+        setWalletAddress(
+          accounts.find((a) => a.toLowerCase() === account.toLowerCase()) ||
+            accounts[0]
+        );
+        setChainId(currentChainId);
+        setWalletProvider(new BrowserProvider(ethereum));
+      } catch (err) {
+        console.error(err);
+      }
+    };
 
+    restoreSession();
     return () => {
-      if (!window.ethereum) return;
-      window.ethereum.removeListener("accountsChanged", handleAccountsChanged);
-      window.ethereum.removeListener("chainChanged", handleChainChanged);
+      cancelled = true;
     };
-  }, []);
+  }, [selectedWallet]);
 
-  const formattedUnlockTime =
-    unlockTime > 0 ? new Date(unlockTime * 1000).toLocaleString() : "—";
+  // Listen for account / network changes on the selected wallet
+  useEffect(() => {
+    const ethereum = selectedWallet?.provider;
+    if (!ethereum?.on) return;
+
+    const handleAccountsChanged = (accounts) => {
+      setWalletAddress(accounts.length > 0 ? accounts[0] : "");
+    };
+
+    // Re-initialise in place instead of reloading, so form input survives.
+    // The old BrowserProvider is bound to the previous chain, so replace it;
+    // the vault hook reloads as soon as the new chain reaches state.
+    const handleChainChanged = (newChainId) => {
+      setChainId(newChainId);
+      setWalletProvider(new BrowserProvider(ethereum));
+    };
+
+    ethereum.on("accountsChanged", handleAccountsChanged);
+    ethereum.on("chainChanged", handleChainChanged);
+
+    return () => {
+      ethereum.removeListener("accountsChanged", handleAccountsChanged);
+      ethereum.removeListener("chainChanged", handleChainChanged);
+    };
+  }, [selectedWallet]);
 
   return (
     // OUTER SHELL – full width, centered content
@@ -455,20 +1115,106 @@ function App() {
               >
                 Connect Wallet
               </button>
+              {wallets.length > 1 && !showWalletPicker && (
+                <button
+                  onClick={() => setShowWalletPicker(true)}
+                  style={{
+                    marginLeft: "0.6rem",
+                    background: "none",
+                    border: "none",
+                    color: "#38bdf8",
+                    padding: 0,
+                    fontSize: "0.85rem",
+                    cursor: "pointer",
+                  }}
+                >
+                  {selectedWallet ? "Change wallet" : "Choose wallet"}
+                </button>
+              )}
+              {walletAddress && (
+                <button
+                  onClick={disconnectWallet}
+                  style={{
+                    marginLeft: "0.6rem",
+                    background: "none",
+                    border: "none",
+                    color: "#f87171",
+                    padding: 0,
+                    fontSize: "0.85rem",
+                    cursor: "pointer",
+                  }}
+                >
+                  Disconnect
+                </button>
+              )}
+              {showWalletPicker && (
+                <WalletPicker
+                  wallets={wallets}
+                  selectedId={walletId(selectedWallet)}
+                  onSelect={pickWallet}
+                  onCancel={() => setShowWalletPicker(false)}
+                />
+              )}
               <div style={{ marginTop: "0.8rem", fontSize: "0.85rem" }}>
                 <p style={{ margin: "0.25rem 0" }}>
                   <strong>Wallet:</strong>{" "}
                   <span style={{ color: "#cbd5f5" }}>
                     {walletAddress || "Not connected"}
+                    {selectedWallet && ` (${selectedWallet.info.name})`}
                   </span>
                 </p>
+                <p style={{ margin: "0.25rem 0" }}>
+                  <strong>Role:</strong> <RoleBadge role={role} />
+                </p>
                 <p style={{ margin: "0.25rem 0" }}>
                   <strong>Network:</strong>{" "}
                   <span style={{ color: "#cbd5f5" }}>
-                    {network || "Unknown"}
+                    {networkLabel || "Unknown"}
                   </span>
                 </p>
+                <RpcHealth provider={getReadProvider(activeNetwork)} />
               </div>
+              {wrongNetwork && (
+                <div
+                  style={{
+                    marginTop: "0.8rem",
+                    padding: "0.7rem 0.8rem",
+                    borderRadius: "10px",
+                    border: "1px solid rgba(250,204,21,0.45)",
+                    background: "rgba(250,204,21,0.08)",
+                    fontSize: "0.85rem",
+                    color: "#fde68a",
+                  }}
+                >
+                  <p style={{ margin: "0 0 0.5rem" }}>
+                    <strong>Wrong network.</strong> There is no MetaLocked vault
+                    on this chain, so deposits, withdrawals and lock extensions
+                    are disabled.
+                    {activeNetwork && " You can also deploy your own vault here."}
+                  </p>
+                  <div style={{ display: "flex", gap: "0.45rem", flexWrap: "wrap" }}>
+                    {vaultNetworks.map((target) => (
+                      <button
+                        key={target.chainId}
+                        onClick={() => switchNetwork(target)}
+                        disabled={switchingNetwork}
+                        style={{
+                          background: "rgba(250,204,21,0.15)",
+                          border: "1px solid rgba(250,204,21,0.5)",
+                          color: "#fde68a",
+                          padding: "0.4rem 0.85rem",
+                          borderRadius: "999px",
+                          fontSize: "0.82rem",
+                          fontWeight: 600,
+                          cursor: switchingNetwork ? "wait" : "pointer",
+                        }}
+                      >
+                        Switch to {target.name}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
             </section>
 
             {/* On-chain Info */}
@@ -497,7 +1243,46 @@ function App() {
                   color: "#9ca3af",
                 }}
               >
-                <strong>Contract:</strong> {CONTRACT_ADDRESS}
+                <strong>Contract:</strong>{" "}
+                {contractAddress || "No vault configured for this network"}
+                {vaultOptions.length > 1 && (
+                  <select
+                    value={contractAddress}
+                    onChange={(e) =>
+                      setSavedVaults((prev) =>
+                        selectVault(prev, activeNetwork.chainId, e.target.value)
+                      )
+                    }
+                    style={{
+                      display: "block",
+                      marginTop: "0.35rem",
+                      padding: "0.3rem 0.5rem",
+                      borderRadius: "8px",
+                      border: "1px solid rgba(148,163,184,0.45)",
+                      background: "#020617",
+                      color: "#e5e7eb",
+                      fontSize: "0.85rem",
+                    }}
+                  >
+                    {vaultOptions.map((v) => (
+                      <option key={v.address} value={v.address}>
+                        {v.label} ({v.address.slice(0, 8)}…)
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </p>
+              {contractAddress && (
+                <VaultVerification verification={verification} />
+              )}
+              <p
+                style={{
+                  margin: "0.3rem 0",
+                  fontSize: "0.88rem",
+                  color: "#9ca3af",
+                }}
+              >
+                <strong>Owner:</strong> {owner || "—"}
               </p>
               <p
                 style={{
@@ -507,7 +1292,14 @@ function App() {
                 }}
               >
                 <strong>Current Balance:</strong> {balance} ETH
+                {fiat.format(vault.balance) && (
+                  <span style={{ color: "#9ca3af" }}>
+                    {" "}
+                    ≈ {fiat.format(vault.balance)}
+                  </span>
+                )}
               </p>
+              <PriceSettings fiat={fiat} />
               <p
                 style={{
                   margin: "0.3rem 0 0.8rem",
@@ -517,8 +1309,48 @@ function App() {
               >
                 <strong>Unlock Time:</strong> {formattedUnlockTime}
               </p>
+              <p
+                style={{
+                  margin: "-0.5rem 0 0.8rem",
+                  fontSize: "0.9rem",
+                  color: isUnlocked ? "#22c55e" : "#facc15",
+                }}
+              >
+                <strong>{isUnlocked ? "Unlocked" : "Time left:"}</strong>{" "}
+                {lockKnown && !isUnlocked
+                  ? formatCountdown(unlockTime - chainNow)
+                  : ""}
+                {!lockKnown && "—"}
+              </p>
+              {contractAddress && (
+                <UnlockReminder
+                  network={activeNetwork}
+                  vaultAddress={contractAddress}
+                  label={
+                    vaultOptions.find(
+                      (v) =>
+                        v.address.toLowerCase() ===
+                        contractAddress.toLowerCase()
+                    )?.label || "MetaLocked vault"
+                  }
+                  unlockTime={unlockTime}
+                  chainNow={chainNow}
+                />
+              )}
+              {readError && (
+                <p
+                  style={{
+                    margin: "0 0 0.8rem",
+                    fontSize: "0.85rem",
+                    color: "#f87171",
+                  }}
+                >
+                  Could not read contract data.{" "}
+                  {classifyError(readError).message}
+                </p>
+              )}
               <button
-                onClick={refreshOnChainData}
+                onClick={() => refreshOnChainData()}
                 style={{
                   background: "rgba(148,163,184,0.15)",
                   border: "1px solid rgba(148,163,184,0.4)",
@@ -532,6 +1364,20 @@ function App() {
                 Refresh
               </button>
             </section>
+
+            {/* Deploy a new vault */}
+            <DeployVault
+              network={activeNetwork}
+              latestBlockTime={latestBlockTime}
+              blockedReason={
+                !walletAddress
+                  ? "Connect a wallet to deploy a vault."
+                  : !activeNetwork
+                    ? "Switch to a supported network to deploy a vault."
+                    : ""
+              }
+              onDeploy={deployNewVault}
+            />
           </div>
 
           {/* Right side cards: Deposit, Withdraw, Extend Lock */}
@@ -566,28 +1412,50 @@ function App() {
                 Send ETH into MetaLocked. These funds will remain in the contract
                 until the unlock time has passed.
               </p>
+              {vaultCodeReason && (
+                <p
+                  style={{
+                    margin: "0 0 0.8rem",
+                    fontSize: "0.85rem",
+                    ...(verification.checking
+                      ? { color: "#9ca3af" }
+                      : {
+                          padding: "0.6rem 0.75rem",
+                          borderRadius: "10px",
+                          border: "1px solid rgba(248,113,113,0.45)",
+                          background: "rgba(248,113,113,0.08)",
+                          color: "#f87171",
+                        }),
+                  }}
+                >
+                  {vaultCodeReason}
+                </p>
+              )}
               <form
                 onSubmit={handleDeposit}
-                style={{ display: "flex", gap: "0.45rem" }}
+                style={{
+                  display: "flex",
+                  gap: "0.45rem",
+                  alignItems: "flex-start",
+                }}
               >
-                <input
-                  type="number"
-                  step="0.0001"
-                  placeholder="Amount in ETH"
+                <AmountInput
                   value={depositAmount}
-                  onChange={(e) => setDepositAmount(e.target.value)}
-                  style={{
-                    flex: 1,
-                    padding: "0.45rem 0.6rem",
-                    borderRadius: "8px",
-                    border: "1px solid rgba(148,163,184,0.45)",
-                    background: "#020617",
-                    color: "#e5e7eb",
-                    fontSize: "0.9rem",
-                  }}
+                  unit={depositUnit}
+                  onChange={setDepositAmount}
+                  onUnitChange={setDepositUnit}
+                  onMax={fillMaxDeposit}
+                  maxDisabled={
+                    Boolean(depositBlockedReason) ||
+                    !feeOverrides ||
+                    walletBalance === null
+                  }
+                  maxTitle="Your wallet balance minus the maximum network fee"
+                  error={depositAmountError}
                 />
                 <button
                   type="submit"
+                  disabled={wrongNetwork || Boolean(vaultCodeReason)}
                   style={{
                     background: "linear-gradient(to right, #22c55e, #16a34a)",
                     border: "none",
@@ -596,13 +1464,36 @@ function App() {
                     borderRadius: "999px",
                     fontSize: "0.9rem",
                     fontWeight: 600,
-                    cursor: "pointer",
+                    cursor:
+                      wrongNetwork || vaultCodeReason
+                        ? "not-allowed"
+                        : "pointer",
+                    opacity: wrongNetwork || vaultCodeReason ? 0.5 : 1,
                     whiteSpace: "nowrap",
                   }}
                 >
                   Deposit
                 </button>
               </form>
+              {depositWei && fiat.format(depositWei) && (
+                <p
+                  style={{
+                    fontSize: "0.82rem",
+                    margin: "0.35rem 0 0",
+                    color: "#9ca3af",
+                  }}
+                >
+                  ≈ {fiat.format(depositWei)}
+                </p>
+              )}
+              {!depositBlockedReason && (
+                <FeePreview
+                  {...feePreviewProps}
+                  gasLimit={depositGas.gasLimit}
+                  estimateError={depositGas.error}
+                  warning={depositFundsReason}
+                />
+              )}
             </section>
 
             {/* Withdraw */}
@@ -622,7 +1513,19 @@ function App() {
                   color: "#e5e7eb",
                 }}
               >
-                Withdraw
+                Withdraw{" "}
+                {lockKnown && (
+                  <span
+                    style={{
+                      marginLeft: "0.4rem",
+                      fontSize: "0.78rem",
+                      fontWeight: 600,
+                      color: isUnlocked ? "#22c55e" : "#facc15",
+                    }}
+                  >
+                    {isUnlocked ? "🔓 unlocked" : "🔒 locked"}
+                  </span>
+                )}
               </h3>
               <p
                 style={{
@@ -639,26 +1542,27 @@ function App() {
               </p>
               <form
                 onSubmit={handleWithdraw}
-                style={{ display: "flex", gap: "0.45rem" }}
+                style={{
+                  display: "flex",
+                  gap: "0.45rem",
+                  alignItems: "flex-start",
+                }}
               >
-                <input
-                  type="number"
-                  step="0.0001"
-                  placeholder="Amount in ETH"
+                <AmountInput
                   value={withdrawAmount}
-                  onChange={(e) => setWithdrawAmount(e.target.value)}
-                  style={{
-                    flex: 1,
-                    padding: "0.45rem 0.6rem",
-                    borderRadius: "8px",
-                    border: "1px solid rgba(148,163,184,0.45)",
-                    background: "#020617",
-                    color: "#e5e7eb",
-                    fontSize: "0.9rem",
-                  }}
+                  unit={withdrawUnit}
+                  onChange={setWithdrawAmount}
+                  onUnitChange={setWithdrawUnit}
+                  onMax={() =>
+                    setWithdrawAmount(formatAmount(vault.balance, withdrawUnit))
+                  }
+                  maxDisabled={vault.balance === 0n}
+                  maxTitle="The whole vault balance"
+                  error={withdrawAmountError}
                 />
                 <button
                   type="submit"
+                  disabled={Boolean(withdrawBlockedReason)}
                   style={{
                     background: "linear-gradient(to right, #e11d48, #fb923c)",
                     border: "none",
@@ -667,13 +1571,43 @@ function App() {
                     borderRadius: "999px",
                     fontSize: "0.9rem",
                     fontWeight: 600,
-                    cursor: "pointer",
+                    cursor: withdrawBlockedReason ? "not-allowed" : "pointer",
+                    opacity: withdrawBlockedReason ? 0.5 : 1,
                     whiteSpace: "nowrap",
                   }}
                 >
                   Withdraw
                 </button>
               </form>
+              {withdrawWei && fiat.format(withdrawWei) && (
+                <p
+                  style={{
+                    fontSize: "0.82rem",
+                    margin: "0.35rem 0 0",
+                    color: "#9ca3af",
+                  }}
+                >
+                  ≈ {fiat.format(withdrawWei)}
+                </p>
+              )}
+              {!withdrawBlockedReason && (
+                <FeePreview
+                  {...feePreviewProps}
+                  gasLimit={withdrawGas.gasLimit}
+                  estimateError={withdrawGas.error}
+                />
+              )}
+              {withdrawBlockedReason && (
+                <p
+                  style={{
+                    fontSize: "0.82rem",
+                    margin: "0.6rem 0 0",
+                    color: "#fde68a",
+                  }}
+                >
+                  {withdrawBlockedReason}
+                </p>
+              )}
               <p
                 style={{
                   fontSize: "0.82rem",
@@ -714,35 +1648,18 @@ function App() {
                   fontSize: "0.9rem",
                 }}
               >
-                Choose how much longer to keep your savings locked. The new
-                unlock time will always be in the future compared to the current
-                one. Only the <strong>contract owner</strong> can send this
-                transaction.
+                Choose how much longer to keep your savings locked, or the exact
+                date to lock until. The new unlock time will always be in the
+                future compared to the current one. Only the{" "}
+                <strong>contract owner</strong> can send this transaction.
               </p>
               <form
                 onSubmit={handleExtendLock}
                 style={{ display: "flex", gap: "0.45rem", flexWrap: "wrap" }}
               >
-                <input
-                  type="number"
-                  min="0"
-                  step="1"
-                  placeholder="Duration"
-                  value={lockDurationValue}
-                  onChange={(e) => setLockDurationValue(e.target.value)}
-                  style={{
-                    flex: "1 1 120px",
-                    padding: "0.45rem 0.6rem",
-                    borderRadius: "8px",
-                    border: "1px solid rgba(148,163,184,0.45)",
-                    background: "#020617",
-                    color: "#e5e7eb",
-                    fontSize: "0.9rem",
-                  }}
-                />
                 <select
-                  value={lockDurationUnit}
-                  onChange={(e) => setLockDurationUnit(e.target.value)}
+                  value={lockMode}
+                  onChange={(e) => setLockMode(e.target.value)}
                   style={{
                     flex: "0 0 120px",
                     padding: "0.45rem 0.6rem",
@@ -753,13 +1670,89 @@ function App() {
                     fontSize: "0.9rem",
                   }}
                 >
-                  <option value="seconds">seconds</option>
-                  <option value="minutes">minutes</option>
-                  <option value="hours">hours</option>
-                  <option value="days">days</option>
+                  <option value="duration">Lock for</option>
+                  <option value="until">Lock until</option>
                 </select>
+                {lockMode === "until" ? (
+                  <>
+                    <input
+                      type="datetime-local"
+                      value={lockUntilLocal}
+                      onChange={(e) => setLockUntilLocal(e.target.value)}
+                      style={{
+                        flex: "1 1 180px",
+                        padding: "0.45rem 0.6rem",
+                        borderRadius: "8px",
+                        border: "1px solid rgba(148,163,184,0.45)",
+                        background: "#020617",
+                        color: "#e5e7eb",
+                        fontSize: "0.9rem",
+                        colorScheme: "dark",
+                      }}
+                    />
+                    <select
+                      value={lockTimeZone}
+                      onChange={(e) => setLockTimeZone(e.target.value)}
+                      style={{
+                        flex: "1 1 160px",
+                        padding: "0.45rem 0.6rem",
+                        borderRadius: "8px",
+                        border: "1px solid rgba(148,163,184,0.45)",
+                        background: "#020617",
+                        color: "#e5e7eb",
+                        fontSize: "0.9rem",
+                      }}
+                    >
+                      {TIME_ZONES.map((zone) => (
+                        <option key={zone} value={zone}>
+                          {zone}
+                        </option>
+                      ))}
+                    </select>
+                  </>
+                ) : (
+                  <>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      placeholder="Duration"
+                      value={lockDurationValue}
+                      onChange={(e) => setLockDurationValue(e.target.value)}
+                      style={{
+                        flex: "1 1 120px",
+                        padding: "0.45rem 0.6rem",
+                        borderRadius: "8px",
+                        border: "1px solid rgba(148,163,184,0.45)",
+                        background: "#020617",
+                        color: "#e5e7eb",
+                        fontSize: "0.9rem",
+                      }}
+                    />
+                    <select
+                      value={lockDurationUnit}
+                      onChange={(e) => setLockDurationUnit(e.target.value)}
+                      style={{
+                        flex: "0 0 120px",
+                        padding: "0.45rem 0.6rem",
+                        borderRadius: "8px",
+                        border: "1px solid rgba(148,163,184,0.45)",
+                        background: "#020617",
+                        color: "#e5e7eb",
+                        fontSize: "0.9rem",
+                      }}
+                    >
+                      {LOCK_UNITS.map((unit) => (
+                        <option key={unit} value={unit}>
+                          {unit}
+                        </option>
+                      ))}
+                    </select>
+                  </>
+                )}
                 <button
                   type="submit"
+                  disabled={Boolean(ownerOnlyReason)}
                   style={{
                     background: "linear-gradient(to right, #0ea5e9, #22c55e)",
                     border: "none",
@@ -768,13 +1761,58 @@ function App() {
                     borderRadius: "999px",
                     fontSize: "0.9rem",
                     fontWeight: 600,
-                    cursor: "pointer",
+                    cursor: ownerOnlyReason ? "not-allowed" : "pointer",
+                    opacity: ownerOnlyReason ? 0.5 : 1,
                     whiteSpace: "nowrap",
                   }}
                 >
                   Extend Lock
                 </button>
               </form>
+              {(lockPlan || lockPlanError) && (
+                <p
+                  style={{
+                    fontSize: "0.82rem",
+                    margin: "0.6rem 0 0",
+                    color: lockPlanError ? "#fde68a" : "#cbd5f5",
+                  }}
+                >
+                  {lockPlanError || (
+                    <>
+                      New unlock time:{" "}
+                      <strong>
+                        {formatInTimeZone(lockPlan.newUnlockTime, lockTimeZone)}
+                      </strong>{" "}
+                      (+{formatCountdown(lockPlan.additionalSeconds)} on the
+                      current one, as of block time)
+                      {lockPlan.lockSeconds > LONG_LOCK_SECONDS && (
+                        <span style={{ color: "#fde68a" }}>
+                          {" "}
+                          · over a year away, you will be asked to confirm
+                        </span>
+                      )}
+                    </>
+                  )}
+                </p>
+              )}
+              {!ownerOnlyReason && (
+                <FeePreview
+                  {...feePreviewProps}
+                  gasLimit={extendGas.gasLimit}
+                  estimateError={extendGas.error}
+                />
+              )}
+              {ownerOnlyReason && (
+                <p
+                  style={{
+                    fontSize: "0.82rem",
+                    margin: "0.6rem 0 0",
+                    color: "#fde68a",
+                  }}
+                >
+                  {ownerOnlyReason}
+                </p>
+              )}
               <p
                 style={{
                   fontSize: "0.82rem",
@@ -782,7 +1820,8 @@ function App() {
                   color: "#9ca3af",
                 }}
               >
-                MetaLocked computes <strong>now + duration</strong> and only
+                MetaLocked computes <strong>latest block time + duration</strong>{" "}
+                (or takes your date) and only
                 pushes the unlock time forward, never backward. Non-owners who
                 attempt to call <code>extendLock</code> will see their
                 transaction reverted by the contract&apos;s{" "}
@@ -822,25 +1861,61 @@ function App() {
           >
             {status || "No recent transactions yet."}
           </p>
-          {lastTxHash && (
-            <p
-              style={{
-                margin: 0,
-                fontSize: "0.86rem",
-              }}
-            >
-              Last Tx:{" "}
-              <a
-                href={`https://sepolia.etherscan.io/tx/${lastTxHash}`}
-                target="_blank"
-                rel="noreferrer"
-                style={{ color: "#38bdf8", textDecoration: "none" }}
-              >
-                {lastTxHash.slice(0, 10)}...
-              </a>
-            </p>
-          )}
+          <TransactionList
+            transactions={transactions}
+            network={activeNetwork}
+            account={walletAddress}
+            busyHash={replacingHash}
+            onSpeedUp={(record) => replaceTransaction(record, "speedUp")}
+            onCancel={(record) => replaceTransaction(record, "cancel")}
+            onClear={clearSettled}
+          />
         </section>
+
+        <VaultDashboard
+          vaults={allVaults}
+          networks={NETWORKS.networks}
+          account={walletAddress}
+          currentVault={
+            contractAddress
+              ? `${activeNetwork.chainId}:${contractAddress.toLowerCase()}`
+              : ""
+          }
+          reloadKey={dataVersion}
+          onOpen={openVault}
+          onWatch={watchVault}
+        />
+
+        {/* Activity */}
+        <DepositLedger
+          client={client}
+          network={activeNetwork}
+          chainId={normalizeChainId(chainId)}
+          owner={owner}
+          reloadKey={dataVersion}
+          isOwner={isOwner}
+          isUnlocked={isUnlocked}
+          getWriteClient={getWriteClient}
+          feeOverrides={feeOverrides}
+          onSent={(tx, step) =>
+            trackTransaction(tx, {
+              kind: step.kind === "withdraw" ? "withdraw" : "refund",
+              label:
+                step.kind === "withdraw"
+                  ? "Withdraw for refunds"
+                  : `Refund to ${step.to}`,
+            })
+          }
+        />
+
+        <ActivityTimeline
+          client={client}
+          network={activeNetwork}
+          reloadKey={dataVersion}
+          formatFiat={fiat.format}
+        />
+
+        <StatementExport client={client} network={activeNetwork} />
       </div>
     </div>
   );
@@ -0,0 +1,313 @@
+// src/BatchRefund.jsx
+import { useState } from "react";
+import { formatEther } from "ethers";
+import ExplorerAnchor from "./ExplorerAnchor";
+import AmountInput from "./AmountInput";
+import useRefundRun from "./useRefundRun";
+import { isRunFinished, refundRunTotal } from "./lib/refunds";
+import { describeError } from "./lib/errors";
+import { formatAmount, parseAmount } from "./lib/amounts";
+import { shortAddress, linkButtonStyle } from "./display";
+
+const STEP_STYLES = {
+  pending: { label: "Waiting", color: "#9ca3af" },
+  sending: { label: "In wallet", color: "#facc15" },
+  sent: { label: "Pending", color: "#facc15" },
+  done: { label: "Done", color: "#22c55e" },
+  failed: { label: "Failed", color: "#f87171" },
+  check: { label: "Check", color: "#fb923c" },
+};
+
+const primaryButtonStyle = (disabled) => ({
+  background: "linear-gradient(to right, #e11d48, #fb923c)",
+  border: "none",
+  color: "white",
+  padding: "0.4rem 1rem",
+  borderRadius: "999px",
+  fontSize: "0.86rem",
+  fontWeight: 600,
+  cursor: disabled ? "not-allowed" : "pointer",
+  opacity: disabled ? 0.5 : 1,
+});
+
+// Owner-only: pick depositors and amounts, withdraw the total once and send
+// each refund. The run is saved after every step and resumes after a reload.
+function BatchRefund({
+  rows,
+  network,
+  chainId,
+  vault,
+  owner,
+  isUnlocked,
+  getWriteClient,
+  feeOverrides,
+  onSent,
+  onTransferDone,
+}) {
+  const vaultKey = `${chainId}:${vault.toLowerCase()}`;
+  const { run, busy, start, resume, resolveCheck, discard } = useRefundRun({
+    vaultKey,
+    onTransferDone,
+  });
+  // address (lowercase) -> { checked, amount, unit } for the selection form
+  const [picks, setPicks] = useState({});
+  const [withdrawFirst, setWithdrawFirst] = useState(true);
+  const [message, setMessage] = useState("");
+
+  const sendOptions = { getWriteClient, overrides: feeOverrides || {}, onSent };
+  const owedRows = rows.filter((row) => row.owed > 0n);
+  const pickFor = (row) =>
+    picks[row.address.toLowerCase()] || {
+      checked: false,
+      amount: formatAmount(row.owed),
+      unit: "ETH",
+    };
+  const setPick = (row, patch) =>
+    setPicks((prev) => ({
+      ...prev,
+      [row.address.toLowerCase()]: { ...pickFor(row), ...patch },
+    }));
+
+  const recipients = owedRows
+    .filter((row) => pickFor(row).checked)
+    .map((row) => {
+      const { amount, unit } = pickFor(row);
+      return { row, amount: parseAmount(amount, unit).wei };
+    });
+  const invalid = recipients.find(
+    ({ row, amount }) => amount === null || amount <= 0n || amount > row.owed
+  );
+  const total = recipients.reduce((sum, r) => sum + (r.amount || 0n), 0n);
+
+  const runAction = async (action) => {
+    setMessage("");
+    try {
+      const result = await action();
+      setMessage(
+        result && isRunFinished(result)
+          ? "All refunds sent and confirmed."
+          : "The run stopped; see the step that needs attention."
+      );
+    } catch (err) {
+      console.error(err);
+      setMessage(describeError("Refund run", err));
+    }
+  };
+
+  const startRun = () => {
+    if (invalid) {
+      setMessage(
+        `Refund to ${shortAddress(invalid.row.address)} must be between 0 and ${formatEther(invalid.row.owed)} ETH.`
+      );
+      return;
+    }
+    runAction(() =>
+      start(
+        {
+          chainId,
+          vault,
+          owner,
+          withdrawFirst,
+          recipients: recipients.map(({ row, amount }) => ({
+            to: row.address,
+            amount,
+          })),
+        },
+        sendOptions
+      )
+    );
+  };
+
+  if (run) {
+    const finished = isRunFinished(run);
+    const inFlight = run.steps.some(
+      (step) => step.status === "sent" || step.status === "sending"
+    );
+    return (
+      <div style={{ marginTop: "0.8rem", fontSize: "0.86rem" }}>
+        <p style={{ margin: "0 0 0.4rem", color: "#cbd5f5" }}>
+          Refund run from {new Date(run.createdAt).toLocaleString()} ·{" "}
+          {formatEther(refundRunTotal(run))} ETH
+        </p>
+        {run.steps.map((step) => {
+          const { label, color } = STEP_STYLES[step.status];
+          const hash = step.hash || step.tx?.hash;
+          return (
+            <div
+              key={step.key}
+              style={{
+                display: "flex",
+                flexWrap: "wrap",
+                gap: "0.6rem",
+                alignItems: "center",
+                padding: "0.3rem 0",
+                borderBottom: "1px solid rgba(148,163,184,0.12)",
+              }}
+            >
+              <span style={{ color, fontWeight: 600, minWidth: "72px" }}>
+                {label}
+              </span>
+              <span style={{ color: "#cbd5f5", flex: 1 }}>
+                {step.kind === "withdraw"
+                  ? `Withdraw ${formatEther(BigInt(step.amount))} ETH from the vault`
+                  : `${formatEther(BigInt(step.amount))} ETH to ${shortAddress(step.to)}`}{" "}
+                {hash && (
+                  <ExplorerAnchor network={network} kind="tx" value={hash}>
+                    {hash.slice(0, 10)}...
+                  </ExplorerAnchor>
+                )}
+                {step.error && (
+                  <span style={{ display: "block", color: "#fde68a" }}>
+                    {step.error}
+                  </span>
+                )}
+              </span>
+              {step.status === "check" && !busy && (
+                <span style={{ display: "flex", gap: "0.6rem" }}>
+                  <button
+                    onClick={() => resolveCheck(step.key, true)}
+                    style={linkButtonStyle}
+                  >
+                    It went through
+                  </button>
+                  <button
+                    onClick={() => resolveCheck(step.key, false)}
+                    style={{ ...linkButtonStyle, color: "#f87171" }}
+                  >
+                    Send again
+                  </button>
+                </span>
+              )}
+            </div>
+          );
+        })}
+        <div
+          style={{
+            display: "flex",
+            gap: "0.8rem",
+            alignItems: "center",
+            marginTop: "0.6rem",
+          }}
+        >
+          {!finished && (
+            <button
+              onClick={() => runAction(() => resume(run, sendOptions))}
+              disabled={busy || run.steps.some((s) => s.status === "check")}
+              style={primaryButtonStyle(busy)}
+            >
+              {busy ? "Running..." : inFlight ? "Resume" : "Continue"}
+            </button>
+          )}
+          {!busy && (
+            <button
+              onClick={() => {
+                if (
+                  finished ||
+                  window.confirm(
+                    "Forget this refund run? Steps not yet sent will not be sent."
+                  )
+                ) {
+                  discard();
+                }
+              }}
+              style={{ ...linkButtonStyle, color: "#9ca3af" }}
+            >
+              {finished ? "Close" : "Discard run"}
+            </button>
+          )}
+          {message && <span style={{ color: "#9ca3af" }}>{message}</span>}
+        </div>
+      </div>
+    );
+  }
+
+  if (owedRows.length === 0) return null;
+
+  return (
+    <div style={{ marginTop: "0.8rem", fontSize: "0.86rem" }}>
+      <p style={{ margin: "0 0 0.4rem", color: "#cbd5f5" }}>
+        Refund depositors
+      </p>
+      {owedRows.map((row) => {
+        const pick = pickFor(row);
+        const { wei, error } = parseAmount(pick.amount, pick.unit);
+        return (
+          <div
+            key={row.address}
+            style={{
+              display: "flex",
+              gap: "0.6rem",
+              alignItems: "flex-start",
+              padding: "0.25rem 0",
+              color: "#cbd5f5",
+            }}
+          >
+            <label
+              style={{
+                flex: 1,
+                display: "flex",
+                gap: "0.6rem",
+                alignItems: "center",
+                paddingTop: "0.45rem",
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={pick.checked}
+                onChange={(e) => setPick(row, { checked: e.target.checked })}
+              />
+              {shortAddress(row.address)}
+            </label>
+            <AmountInput
+              value={pick.amount}
+              unit={pick.unit}
+              onChange={(amount) => setPick(row, { amount })}
+              onUnitChange={(unit) => setPick(row, { unit })}
+              onMax={() =>
+                setPick(row, { amount: formatAmount(row.owed, pick.unit) })
+              }
+              maxTitle="The amount still owed"
+              error={
+                error ||
+                (wei !== null && wei > row.owed
+                  ? `More than owed (${formatEther(row.owed)} ETH).`
+                  : "")
+              }
+            />
+          </div>
+        );
+      })}
+      <label
+        style={{
+          display: "flex",
+          gap: "0.5rem",
+          alignItems: "center",
+          margin: "0.4rem 0",
+          color: "#9ca3af",
+        }}
+      >
+        <input
+          type="checkbox"
+          checked={withdrawFirst}
+          onChange={(e) => setWithdrawFirst(e.target.checked)}
+        />
+        Withdraw the total from the vault first
+        {withdrawFirst && !isUnlocked && (
+          <span style={{ color: "#fde68a" }}>(the vault is still locked)</span>
+        )}
+      </label>
+      <div style={{ display: "flex", gap: "0.8rem", alignItems: "center" }}>
+        <button
+          onClick={startRun}
+          disabled={busy || recipients.length === 0}
+          style={primaryButtonStyle(busy || recipients.length === 0)}
+        >
+          Refund {formatEther(total)} ETH to {recipients.length} depositor(s)
+        </button>
+        {message && <span style={{ color: "#f87171" }}>{message}</span>}
+      </div>
+    </div>
+  );
+}
+
+export default BatchRefund;
@@ -0,0 +1,272 @@
+// src/DeployVault.jsx
+import { useState } from "react";
+import ExplorerAnchor from "./ExplorerAnchor";
+import { hasBundledBytecode } from "./lib/deploy";
+import { LOCK_UNITS, addDuration } from "./lib/duration";
+import { describeError } from "./lib/errors";
+import { formatCountdown } from "./time";
+import { linkButtonStyle } from "./display";
+
+const inputStyle = {
+  padding: "0.45rem 0.6rem",
+  borderRadius: "8px",
+  border: "1px solid rgba(148,163,184,0.45)",
+  background: "#020617",
+  color: "#e5e7eb",
+  fontSize: "0.9rem",
+};
+
+const buttonStyle = (disabled) => ({
+  background: "linear-gradient(to right, #6366f1, #0ea5e9)",
+  border: "none",
+  color: "white",
+  padding: "0.45rem 1rem",
+  borderRadius: "999px",
+  fontSize: "0.86rem",
+  fontWeight: 600,
+  cursor: disabled ? "not-allowed" : "pointer",
+  opacity: disabled ? 0.5 : 1,
+});
+
+const mutedLinkStyle = {
+  ...linkButtonStyle,
+  color: "#9ca3af",
+  fontSize: "0.85rem",
+};
+
+// Three steps: pick the initial lock, confirm, deploy. `onDeploy(seconds,
+// label)` sends the deployment and resolves once it is mined, with the new
+// vault already saved and selected.
+function DeployVault({ network, latestBlockTime, blockedReason, onDeploy }) {
+  const [open, setOpen] = useState(false);
+  const [value, setValue] = useState("");
+  const [unit, setUnit] = useState("days");
+  const [label, setLabel] = useState("");
+  const [step, setStep] = useState("form"); // form | confirm | deploying | done
+  const [error, setError] = useState("");
+  const [deployed, setDeployed] = useState(null);
+
+  const bundled = hasBundledBytecode();
+  let lockSeconds = 0;
+  let durationError = "";
+  if (Number(value) > 0 && latestBlockTime > 0) {
+    try {
+      lockSeconds =
+        addDuration(latestBlockTime, Number(value), unit) - latestBlockTime;
+    } catch (err) {
+      durationError = err.message;
+    }
+  }
+  const name = label.trim() || `Vault ${new Date().toLocaleDateString()}`;
+
+  const reset = () => {
+    setStep("form");
+    setError("");
+    setDeployed(null);
+    setValue("");
+    setLabel("");
+  };
+
+  const deploy = async () => {
+    setStep("deploying");
+    setError("");
+    try {
+      setDeployed(await onDeploy(lockSeconds, name));
+      setStep("done");
+    } catch (err) {
+      console.error(err);
+      setError(describeError("Deployment", err));
+      setStep("confirm");
+    }
+  };
+
+  return (
+    <section
+      style={{
+        background: "#020617",
+        borderRadius: "14px",
+        padding: "1.1rem 1.2rem",
+        border: "1px solid rgba(148,163,184,0.25)",
+      }}
+    >
+      <h3
+        style={{
+          marginTop: 0,
+          marginBottom: "0.6rem",
+          fontSize: "1.02rem",
+          color: "#e5e7eb",
+        }}
+      >
+        Your Own Vault
+      </h3>
+
+      {!open && (
+        <>
+          <p
+            style={{
+              margin: "0 0 0.8rem",
+              fontSize: "0.88rem",
+              color: "#9ca3af",
+            }}
+          >
+            Deploy a new MetaLocked vault owned by your wallet, with its own
+            unlock time.
+          </p>
+          <button
+            onClick={() => setOpen(true)}
+            disabled={!bundled}
+            style={buttonStyle(!bundled)}
+          >
+            Deploy a new vault
+          </button>
+          {!bundled && (
+            <p
+              style={{
+                margin: "0.6rem 0 0",
+                fontSize: "0.82rem",
+                color: "#fde68a",
+              }}
+            >
+              This build has no compiled vault bytecode. Add the contract&apos;s
+              creation bytecode to <code>src/vaultBytecode.json</code> to enable
+              deployments.
+            </p>
+          )}
+        </>
+      )}
+
+      {open && step === "form" && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (lockSeconds > 0) setStep("confirm");
+          }}
+          style={{ display: "flex", flexWrap: "wrap", gap: "0.45rem" }}
+        >
+          <input
+            placeholder="Name (optional)"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            style={{ ...inputStyle, flex: "1 1 100%" }}
+          />
+          <input
+            type="number"
+            min="0"
+            step="1"
+            placeholder="Lock for"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            style={{ ...inputStyle, flex: "1 1 100px" }}
+          />
+          <select
+            value={unit}
+            onChange={(e) => setUnit(e.target.value)}
+            style={{ ...inputStyle, flex: "0 0 110px" }}
+          >
+            {LOCK_UNITS.map((u) => (
+              <option key={u} value={u}>
+                {u}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={Boolean(blockedReason) || lockSeconds <= 0}
+            style={buttonStyle(Boolean(blockedReason) || lockSeconds <= 0)}
+          >
+            Next
+          </button>
+          <button
+            type="button"
+            onClick={() => setOpen(false)}
+            style={mutedLinkStyle}
+          >
+            Cancel
+          </button>
+          {(blockedReason || durationError) && (
+            <p
+              style={{
+                flexBasis: "100%",
+                margin: "0.2rem 0 0",
+                fontSize: "0.82rem",
+                color: "#fde68a",
+              }}
+            >
+              {blockedReason || durationError}
+            </p>
+          )}
+        </form>
+      )}
+
+      {open && (step === "confirm" || step === "deploying") && (
+        <div style={{ fontSize: "0.88rem", color: "#cbd5f5" }}>
+          <p style={{ margin: "0 0 0.3rem" }}>
+            <strong>{name}</strong> on {network?.name}
+          </p>
+          <p style={{ margin: "0 0 0.3rem" }}>
+            Locked for {formatCountdown(lockSeconds)}, until about{" "}
+            {new Date((latestBlockTime + lockSeconds) * 1000).toLocaleString()}{" "}
+            (counted from the block it is mined in).
+          </p>
+          <p style={{ margin: "0 0 0.8rem", color: "#9ca3af" }}>
+            Your connected wallet becomes the owner. Only the owner can withdraw
+            or extend the lock.
+          </p>
+          <div style={{ display: "flex", gap: "0.8rem", alignItems: "center" }}>
+            <button
+              onClick={deploy}
+              disabled={step === "deploying"}
+              style={buttonStyle(step === "deploying")}
+            >
+              {step === "deploying" ? "Deploying..." : "Deploy"}
+            </button>
+            {step === "confirm" && (
+              <button onClick={() => setStep("form")} style={mutedLinkStyle}>
+                Back
+              </button>
+            )}
+          </div>
+          {error && (
+            <p
+              style={{
+                margin: "0.6rem 0 0",
+                fontSize: "0.82rem",
+                color: "#f87171",
+              }}
+            >
+              {error}
+            </p>
+          )}
+        </div>
+      )}
+
+      {open && step === "done" && deployed && (
+        <div style={{ fontSize: "0.88rem", color: "#cbd5f5" }}>
+          <p style={{ margin: "0 0 0.3rem", color: "#22c55e" }}>
+            Vault deployed and selected.
+          </p>
+          <p style={{ margin: "0 0 0.8rem" }}>
+            <ExplorerAnchor
+              network={network}
+              kind="address"
+              value={deployed.address}
+            >
+              {deployed.address}
+            </ExplorerAnchor>
+          </p>
+          <button
+            onClick={() => {
+              reset();
+              setOpen(false);
+            }}
+            style={mutedLinkStyle}
+          >
+            Done
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default DeployVault;
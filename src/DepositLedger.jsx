@@ -0,0 +1,346 @@
+// src/DepositLedger.jsx
+import { useState } from "react";
+import { formatEther } from "ethers";
+import ExplorerAnchor from "./ExplorerAnchor";
+import AmountInput from "./AmountInput";
+import useDepositLedger from "./useDepositLedger";
+import BatchRefund from "./BatchRefund";
+import { classifyError } from "./lib/errors";
+import { formatAmount, parseAmount } from "./lib/amounts";
+import { shortAddress, linkButtonStyle } from "./display";
+
+const SOURCE_LABELS = {
+  matched: "found on-chain",
+  verified: "verified tx",
+  batch: "batch refund",
+  manual: "marked by hand",
+};
+
+const inputStyle = {
+  padding: "0.35rem 0.5rem",
+  borderRadius: "8px",
+  border: "1px solid rgba(148,163,184,0.45)",
+  background: "#020617",
+  color: "#e5e7eb",
+  fontSize: "0.82rem",
+};
+
+// Inline form under a ledger row: amount or a transaction hash to verify.
+function RefundForm({ row, onSave, onClose }) {
+  const [amount, setAmount] = useState(formatAmount(row.owed));
+  const [unit, setUnit] = useState("ETH");
+  const [txHash, setTxHash] = useState("");
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      setSaving(true);
+      const hash = txHash.trim();
+      let wei = 0n;
+      if (!hash) {
+        const parsed = parseAmount(amount, unit);
+        if (parsed.wei === null) {
+          throw new Error(parsed.error || "Enter the refunded amount.");
+        }
+        wei = parsed.wei;
+      }
+      await onSave({
+        to: row.address,
+        amount: wei,
+        txHash: hash,
+        note: note.trim(),
+      });
+      onClose();
+    } catch (err) {
+      setError(classifyError(err).message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={submit}
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "0.4rem",
+        padding: "0.4rem 0 0.6rem",
+      }}
+    >
+      <div style={{ display: "flex", flex: "1 1 220px" }}>
+        <AmountInput
+          value={amount}
+          unit={unit}
+          onChange={setAmount}
+          onUnitChange={setUnit}
+          onMax={() => setAmount(formatAmount(row.owed, unit))}
+          maxTitle="The amount still owed"
+          error={txHash.trim() ? "" : parseAmount(amount, unit).error}
+          disabled={Boolean(txHash.trim())}
+        />
+      </div>
+      <input
+        placeholder="or refund tx hash"
+        value={txHash}
+        onChange={(e) => setTxHash(e.target.value)}
+        style={{ ...inputStyle, flex: "1 1 200px" }}
+      />
+      <input
+        placeholder="Note (optional)"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        style={{ ...inputStyle, flex: "1 1 140px" }}
+      />
+      <button type="submit" disabled={saving} style={linkButtonStyle}>
+        {saving ? "Saving..." : "Save"}
+      </button>
+      <button
+        type="button"
+        onClick={onClose}
+        style={{ ...linkButtonStyle, color: "#9ca3af" }}
+      >
+        Close
+      </button>
+      {error && (
+        <span
+          style={{ flexBasis: "100%", color: "#f87171", fontSize: "0.82rem" }}
+        >
+          {error}
+        </span>
+      )}
+    </form>
+  );
+}
+
+// What each non-owner depositor put in, what the owner has sent back and
+// what is still owed. Refunds are bookkeeping kept in this browser; the
+// owner also gets the batch refund workflow.
+function DepositLedger({
+  client,
+  network,
+  chainId,
+  owner,
+  reloadKey,
+  isOwner,
+  isUnlocked,
+  getWriteClient,
+  feeOverrides,
+  onSent,
+}) {
+  const {
+    rows,
+    refunds,
+    loading,
+    scanning,
+    error,
+    markRefund,
+    recordBatchRefund,
+    removeRefund,
+    scanForRefunds,
+  } = useDepositLedger({ client, chainId, owner, reloadKey });
+  const [openRow, setOpenRow] = useState("");
+  const [message, setMessage] = useState("");
+
+  if (!client) return null;
+
+  const totalOwed = rows.reduce((sum, row) => sum + row.owed, 0n);
+  const byAddress = new Map(
+    rows.map((row) => [row.address.toLowerCase(), row])
+  );
+
+  const scan = async () => {
+    setMessage("");
+    try {
+      const found = await scanForRefunds();
+      setMessage(
+        found.length > 0
+          ? `Found ${found.length} transfer(s) from the owner to depositors.`
+          : "No refund transfers found in the blocks after withdrawals."
+      );
+    } catch (err) {
+      console.error(err);
+      setMessage("Scanning for refunds failed.");
+    }
+  };
+
+  return (
+    <section
+      style={{
+        marginTop: "1.6rem",
+        background: "#020617",
+        borderRadius: "14px",
+        padding: "1rem 1.2rem",
+        border: "1px solid rgba(148,163,184,0.25)",
+      }}
+    >
+      <h3
+        style={{
+          marginTop: 0,
+          marginBottom: "0.5rem",
+          fontSize: "1.02rem",
+          color: "#e5e7eb",
+        }}
+      >
+        Depositors
+      </h3>
+      <p style={{ marginTop: 0, fontSize: "0.86rem", color: "#9ca3af" }}>
+        Deposits from addresses other than the owner, and what the owner has
+        sent back. Still owed:{" "}
+        <strong style={{ color: "#e5e7eb" }}>
+          {formatEther(totalOwed)} ETH
+        </strong>
+      </p>
+
+      <div style={{ fontSize: "0.86rem" }}>
+        {rows.map((row) => {
+          const key = row.address.toLowerCase();
+          return (
+            <div
+              key={key}
+              style={{ borderBottom: "1px solid rgba(148,163,184,0.12)" }}
+            >
+              <div
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "1fr auto auto auto auto",
+                  gap: "0.8rem",
+                  alignItems: "center",
+                  padding: "0.45rem 0",
+                }}
+              >
+                <ExplorerAnchor
+                  network={network}
+                  kind="address"
+                  value={row.address}
+                >
+                  {shortAddress(row.address)}
+                </ExplorerAnchor>
+                <span style={{ color: "#cbd5f5" }}>
+                  in {formatEther(row.deposited)} ETH ({row.depositCount}×)
+                </span>
+                <span style={{ color: "#9ca3af" }}>
+                  back {formatEther(row.refunded)} ETH
+                </span>
+                <span
+                  style={{
+                    color: row.owed > 0n ? "#facc15" : "#22c55e",
+                    fontWeight: 600,
+                  }}
+                >
+                  {row.owed > 0n
+                    ? `owed ${formatEther(row.owed)} ETH`
+                    : "settled"}
+                </span>
+                <button
+                  onClick={() => setOpenRow(openRow === key ? "" : key)}
+                  style={linkButtonStyle}
+                >
+                  Record refund
+                </button>
+              </div>
+              {openRow === key && (
+                <RefundForm
+                  row={row}
+                  onSave={markRefund}
+                  onClose={() => setOpenRow("")}
+                />
+              )}
+            </div>
+          );
+        })}
+
+        {!loading && rows.length === 0 && !error && (
+          <p style={{ margin: 0, color: "#9ca3af" }}>
+            No deposits from other addresses.
+          </p>
+        )}
+        {loading && (
+          <p style={{ margin: "0.4rem 0", color: "#9ca3af" }}>
+            Loading deposits...
+          </p>
+        )}
+        {error && (
+          <p style={{ margin: "0.4rem 0", color: "#f87171" }}>{error}</p>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <p
+          style={{
+            margin: "0.6rem 0 0",
+            fontSize: "0.82rem",
+            color: "#9ca3af",
+          }}
+        >
+          <button onClick={scan} disabled={scanning} style={linkButtonStyle}>
+            {scanning ? "Scanning..." : "Scan for refund transfers"}
+          </button>{" "}
+          {message ||
+            "Checks the blocks right after each withdrawal for transfers from the owner."}
+        </p>
+      )}
+
+      {isOwner && (
+        <BatchRefund
+          rows={rows}
+          network={network}
+          chainId={chainId}
+          vault={client.address}
+          owner={owner}
+          isUnlocked={isUnlocked}
+          getWriteClient={getWriteClient}
+          feeOverrides={feeOverrides}
+          onSent={onSent}
+          onTransferDone={recordBatchRefund}
+        />
+      )}
+
+      {refunds.length > 0 && (
+        <div
+          style={{ marginTop: "0.6rem", fontSize: "0.82rem", color: "#9ca3af" }}
+        >
+          {refunds.map((refund) => (
+            <div
+              key={refund.id}
+              style={{
+                display: "flex",
+                flexWrap: "wrap",
+                gap: "0.6rem",
+                padding: "0.2rem 0",
+              }}
+            >
+              <span>
+                {formatEther(BigInt(refund.amount))} ETH to{" "}
+                {shortAddress(byAddress.get(refund.to)?.address || refund.to)}
+              </span>
+              <span>{SOURCE_LABELS[refund.source]}</span>
+              {refund.txHash && (
+                <ExplorerAnchor
+                  network={network}
+                  kind="tx"
+                  value={refund.txHash}
+                >
+                  {refund.txHash.slice(0, 10)}...
+                </ExplorerAnchor>
+              )}
+              {refund.note && <span>“{refund.note}”</span>}
+              <button
+                onClick={() => removeRefund(refund.id)}
+                style={{ ...linkButtonStyle, color: "#f87171" }}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default DepositLedger;
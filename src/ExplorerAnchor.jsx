@@ -0,0 +1,20 @@
+// src/ExplorerAnchor.jsx
+import { explorerLink } from "./networks";
+
+// Renders an explorer link when the network has one, plain text otherwise.
+function ExplorerAnchor({ network, kind, value, children }) {
+  const href = explorerLink(network, kind, value);
+  if (!href) return <span style={{ color: "#cbd5f5" }}>{children}</span>;
+  return (
+    <a
+      href={href}
+      target="_blank"
+      rel="noreferrer"
+      style={{ color: "#38bdf8", textDecoration: "none" }}
+    >
+      {children}
+    </a>
+  );
+}
+
+export default ExplorerAnchor;
@@ -0,0 +1,158 @@
+// src/FeePreview.jsx
+import { formatEther, formatUnits } from "ethers";
+import { FEE_PRESETS, estimateTxCost, lowFeeWarning } from "./lib/fees";
+
+const formatGwei = (wei) =>
+  Number(formatUnits(wei, "gwei")).toLocaleString(undefined, {
+    maximumFractionDigits: 3,
+  });
+
+const formatEth = (wei) =>
+  Number(formatEther(wei)).toLocaleString(undefined, {
+    maximumFractionDigits: 6,
+  });
+
+const presetButtonStyle = (active) => ({
+  background: active ? "rgba(56,189,248,0.15)" : "none",
+  border: `1px solid ${active ? "#38bdf8" : "rgba(148,163,184,0.35)"}`,
+  color: active ? "#38bdf8" : "#9ca3af",
+  borderRadius: "999px",
+  padding: "0.15rem 0.6rem",
+  fontSize: "0.78rem",
+  cursor: "pointer",
+});
+
+const gweiInputStyle = {
+  width: "110px",
+  padding: "0.3rem 0.5rem",
+  borderRadius: "8px",
+  border: "1px solid rgba(148,163,184,0.45)",
+  background: "#020617",
+  color: "#e5e7eb",
+  fontSize: "0.82rem",
+};
+
+// Estimated gas, fees and total cost for one form, plus the fee speed picker.
+// `choice` / `onChoiceChange` are shared by every form; `overrides` is the
+// resolved choice (null while it is invalid, see `choiceError`).
+function FeePreview({
+  gasLimit,
+  estimateError,
+  suggestions,
+  choice,
+  onChoiceChange,
+  overrides,
+  choiceError,
+  warning,
+}) {
+  const cost =
+    gasLimit && suggestions && overrides
+      ? estimateTxCost(gasLimit, overrides, suggestions.baseFee)
+      : null;
+  const setChoice = (patch) => onChoiceChange({ ...choice, ...patch });
+  const lowFee =
+    choice.preset === "custom" ? lowFeeWarning(suggestions, overrides) : "";
+
+  return (
+    <div
+      style={{
+        marginTop: "0.6rem",
+        fontSize: "0.82rem",
+        color: "#9ca3af",
+        display: "flex",
+        flexDirection: "column",
+        gap: "0.35rem",
+      }}
+    >
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "0.35rem" }}>
+        {[...FEE_PRESETS, "custom"].map((preset) => (
+          <button
+            key={preset}
+            type="button"
+            onClick={() => setChoice({ preset })}
+            style={presetButtonStyle(choice.preset === preset)}
+          >
+            {preset}
+          </button>
+        ))}
+      </div>
+
+      {choice.preset === "custom" && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "0.45rem" }}>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            placeholder={
+              suggestions?.eip1559 === false
+                ? "Gas price (gwei)"
+                : "Max fee (gwei)"
+            }
+            value={choice.maxFeeGwei}
+            onChange={(e) => setChoice({ maxFeeGwei: e.target.value })}
+            style={gweiInputStyle}
+          />
+          {suggestions?.eip1559 !== false && (
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              placeholder="Priority (gwei)"
+              value={choice.priorityGwei}
+              onChange={(e) => setChoice({ priorityGwei: e.target.value })}
+              style={gweiInputStyle}
+            />
+          )}
+        </div>
+      )}
+
+      {suggestions && (
+        <span>
+          {suggestions.eip1559 ? (
+            <>
+              Base fee {formatGwei(suggestions.baseFee)} gwei · Priority{" "}
+              {overrides?.maxPriorityFeePerGas !== undefined
+                ? `${formatGwei(overrides.maxPriorityFeePerGas)} gwei`
+                : "—"}
+              {" · "}Max fee{" "}
+              {overrides?.maxFeePerGas !== undefined
+                ? `${formatGwei(overrides.maxFeePerGas)} gwei`
+                : "—"}
+            </>
+          ) : (
+            <>
+              Gas price{" "}
+              {overrides?.gasPrice !== undefined
+                ? `${formatGwei(overrides.gasPrice)} gwei`
+                : "—"}
+            </>
+          )}
+        </span>
+      )}
+
+      {gasLimit && (
+        <span>
+          Gas limit {gasLimit.toLocaleString()}
+          {cost && (
+            <>
+              {" · "}
+              <strong style={{ color: "#e5e7eb" }}>
+                ≈ {formatEth(cost.expected)} ETH
+              </strong>{" "}
+              (max {formatEth(cost.max)} ETH)
+            </>
+          )}
+        </span>
+      )}
+
+      {choiceError && <span style={{ color: "#fde68a" }}>{choiceError}</span>}
+      {lowFee && <span style={{ color: "#fde68a" }}>{lowFee}</span>}
+      {estimateError && (
+        <span style={{ color: "#fde68a" }}>{estimateError}</span>
+      )}
+      {warning && <span style={{ color: "#f87171" }}>{warning}</span>}
+    </div>
+  );
+}
+
+export default FeePreview;
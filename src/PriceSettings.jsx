@@ -0,0 +1,89 @@
+// src/PriceSettings.jsx
+import { CURRENCIES } from "./lib/prices";
+
+const inputStyle = {
+  padding: "0.2rem 0.4rem",
+  borderRadius: "8px",
+  border: "1px solid rgba(148,163,184,0.45)",
+  background: "#020617",
+  color: "#e5e7eb",
+  fontSize: "0.8rem",
+};
+
+// Currency and price source pickers, plus the current ETH price. `fiat` is
+// the object returned by useFiatPrice.
+function PriceSettings({ fiat }) {
+  const { settings, updateSettings, price, updatedAt, error, sourceLabel } =
+    fiat;
+  const formatter = new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency: settings.currency,
+  });
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "0.45rem",
+        alignItems: "center",
+        margin: "-0.2rem 0 0.7rem",
+        fontSize: "0.8rem",
+        color: "#9ca3af",
+      }}
+    >
+      <select
+        value={settings.currency}
+        onChange={(e) => updateSettings({ currency: e.target.value })}
+        style={inputStyle}
+      >
+        {CURRENCIES.map((c) => (
+          <option key={c} value={c}>
+            {c}
+          </option>
+        ))}
+      </select>
+      <select
+        value={settings.source}
+        onChange={(e) => updateSettings({ source: e.target.value })}
+        style={inputStyle}
+      >
+        <option value="chainlink">Chainlink feed</option>
+        <option value="manual">Manual price</option>
+      </select>
+      {settings.source === "manual" && (
+        <input
+          type="number"
+          min="0"
+          step="any"
+          placeholder={`1 ETH in ${settings.currency}`}
+          value={settings.manualPrices[settings.currency] || ""}
+          onChange={(e) =>
+            updateSettings({
+              manualPrices: {
+                ...settings.manualPrices,
+                [settings.currency]: e.target.value,
+              },
+            })
+          }
+          style={{ ...inputStyle, width: "120px" }}
+        />
+      )}
+      {price != null ? (
+        <span>
+          1 ETH = {formatter.format(price)}
+          {settings.source !== "manual" &&
+            ` · ${sourceLabel}${
+              updatedAt > 0
+                ? `, ${new Date(updatedAt * 1000).toLocaleString()}`
+                : ""
+            }`}
+        </span>
+      ) : (
+        error && <span style={{ color: "#fde68a" }}>{error}</span>
+      )}
+    </div>
+  );
+}
+
+export default PriceSettings;
@@ -0,0 +1,28 @@
+// src/RoleBadge.jsx
+const ROLE_STYLES = {
+  owner: { label: "Owner", color: "#22c55e" },
+  depositor: { label: "Depositor", color: "#38bdf8" },
+  viewer: { label: "Viewer", color: "#9ca3af" },
+};
+
+function RoleBadge({ role }) {
+  const { label, color } = ROLE_STYLES[role] || ROLE_STYLES.viewer;
+  return (
+    <span
+      style={{
+        display: "inline-block",
+        padding: "0.1rem 0.55rem",
+        borderRadius: "999px",
+        border: `1px solid ${color}`,
+        color,
+        fontSize: "0.78rem",
+        fontWeight: 600,
+        letterSpacing: "0.02em",
+      }}
+    >
+      {label}
+    </span>
+  );
+}
+
+export default RoleBadge;
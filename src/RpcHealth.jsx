@@ -0,0 +1,93 @@
+// src/RpcHealth.jsx
+import { useState } from "react";
+import useRpcHealth from "./useRpcHealth";
+
+const STATUS = {
+  ok: { color: "#22c55e", label: "Connected" },
+  degraded: { color: "#facc15", label: "Degraded" },
+  down: { color: "#f87171", label: "Unreachable" },
+  unknown: { color: "#9ca3af", label: "Connecting..." },
+};
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+};
+
+// Status dot for the read RPC endpoints, with a per-endpoint breakdown on
+// click. Renders nothing when reads go through the wallet instead.
+function RpcHealth({ provider }) {
+  const health = useRpcHealth(provider);
+  const [open, setOpen] = useState(false);
+  if (!health) return null;
+
+  const { color, label } = STATUS[health.status];
+  const working = health.endpoints.filter((e) => e.ok).length;
+
+  return (
+    <span style={{ display: "inline-block" }}>
+      <button
+        type="button"
+        onClick={() => setOpen((o) => !o)}
+        title={
+          health.mode === "quorum"
+            ? `Reads need ${health.quorum} matching endpoints`
+            : "Reads fall back to the next endpoint on failure"
+        }
+        style={{
+          background: "none",
+          border: "none",
+          padding: 0,
+          color: "#9ca3af",
+          fontSize: "0.8rem",
+          cursor: "pointer",
+        }}
+      >
+        <span
+          style={{
+            display: "inline-block",
+            width: "8px",
+            height: "8px",
+            borderRadius: "50%",
+            background: color,
+            marginRight: "0.35rem",
+          }}
+        />
+        RPC: {label}
+        {health.endpoints.length > 1 &&
+          ` (${working}/${health.endpoints.length})`}
+      </button>
+      {open && (
+        <ul
+          style={{
+            margin: "0.3rem 0 0",
+            paddingLeft: "1.1rem",
+            fontSize: "0.78rem",
+            color: "#9ca3af",
+          }}
+        >
+          {health.endpoints.map((e) => (
+            <li key={e.url} style={{ margin: "0.15rem 0" }}>
+              <span style={{ color: e.ok ? "#cbd5f5" : "#f87171" }}>
+                {hostOf(e.url)}
+              </span>
+              {e.latencyMs != null && ` · ${e.latencyMs} ms`}
+              {` · ${e.requests} requests`}
+              {e.failures > 0 && `, ${e.failures} failed`}
+              {e.lastError && (
+                <span style={{ display: "block", color: "#fde68a" }}>
+                  {e.lastError}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </span>
+  );
+}
+
+export default RpcHealth;
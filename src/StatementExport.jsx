@@ -0,0 +1,177 @@
+// src/StatementExport.jsx
+import { useState } from "react";
+import { isAddress } from "ethers";
+import { statementToCsv, statementToJson } from "./lib/statement";
+import { downloadFile } from "./download";
+
+const inputStyle = {
+  padding: "0.35rem 0.5rem",
+  borderRadius: "8px",
+  border: "1px solid rgba(148,163,184,0.45)",
+  background: "#020617",
+  color: "#e5e7eb",
+  fontSize: "0.82rem",
+};
+
+const buttonStyle = (disabled) => ({
+  background: "rgba(148,163,184,0.15)",
+  border: "1px solid rgba(148,163,184,0.4)",
+  color: "#e5e7eb",
+  padding: "0.4rem 0.85rem",
+  borderRadius: "8px",
+  fontSize: "0.82rem",
+  cursor: disabled ? "not-allowed" : "pointer",
+  opacity: disabled ? 0.5 : 1,
+});
+
+// <input type="date"> value -> Unix seconds at the start (or end) of that
+// day in local time.
+const dayBoundary = (value, endOfDay) => {
+  if (!value) return undefined;
+  const [year, month, day] = value.split("-").map(Number);
+  const date = endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59)
+    : new Date(year, month - 1, day);
+  return Math.floor(date.getTime() / 1000);
+};
+
+// Statement of every deposit, withdrawal and lock extension for accounting,
+// downloaded as CSV or JSON.
+function StatementExport({ client, network }) {
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [address, setAddress] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const addressError =
+    address.trim() && !isAddress(address.trim()) ? "Not a valid address." : "";
+  const disabled = !client || busy || Boolean(addressError);
+
+  const exportAs = async (format) => {
+    const filters = {
+      from: dayBoundary(fromDate, false),
+      to: dayBoundary(toDate, true),
+      address: address.trim() || undefined,
+    };
+    setBusy(true);
+    setError("");
+    setMessage("Reading events and receipts...");
+    try {
+      const rows = await client.getStatement(filters);
+      const name = `metalocked-statement-${client.address.slice(2, 8).toLowerCase()}`;
+      if (format === "csv") {
+        downloadFile(`${name}.csv`, statementToCsv(rows), "text/csv");
+      } else {
+        const json = statementToJson(rows, {
+          chainId: network?.chainId || "",
+          network: network?.name || "",
+          vault: client.address,
+          filters: { fromDate, toDate, address: filters.address || "" },
+        });
+        downloadFile(`${name}.json`, json, "application/json");
+      }
+      setMessage(
+        `Exported ${rows.length} ${rows.length === 1 ? "row" : "rows"}.`
+      );
+    } catch (err) {
+      console.error(err);
+      setMessage("");
+      setError("Could not build the statement.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section
+      style={{
+        marginTop: "1.6rem",
+        background: "#020617",
+        borderRadius: "14px",
+        padding: "1rem 1.2rem",
+        border: "1px solid rgba(148,163,184,0.25)",
+      }}
+    >
+      <h3
+        style={{
+          marginTop: 0,
+          marginBottom: "0.6rem",
+          fontSize: "1.02rem",
+          color: "#e5e7eb",
+        }}
+      >
+        Statement
+      </h3>
+      <p
+        style={{ margin: "0 0 0.7rem", fontSize: "0.85rem", color: "#9ca3af" }}
+      >
+        Every deposit, withdrawal and lock extension with gas paid and the
+        vault&apos;s running balance. Dates are in local time.
+      </p>
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "0.45rem",
+          alignItems: "center",
+          fontSize: "0.82rem",
+          color: "#9ca3af",
+        }}
+      >
+        <label>
+          From{" "}
+          <input
+            type="date"
+            value={fromDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+        <label>
+          To{" "}
+          <input
+            type="date"
+            value={toDate}
+            onChange={(e) => setToDate(e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+        <input
+          placeholder="Only this address (optional)"
+          value={address}
+          onChange={(e) => setAddress(e.target.value)}
+          style={{ ...inputStyle, flex: "1 1 220px" }}
+        />
+        <button
+          onClick={() => exportAs("csv")}
+          disabled={disabled}
+          style={buttonStyle(disabled)}
+        >
+          Export CSV
+        </button>
+        <button
+          onClick={() => exportAs("json")}
+          disabled={disabled}
+          style={buttonStyle(disabled)}
+        >
+          Export JSON
+        </button>
+      </div>
+      {(addressError || error || message) && (
+        <p
+          style={{
+            margin: "0.6rem 0 0",
+            fontSize: "0.82rem",
+            color: addressError || error ? "#f87171" : "#9ca3af",
+          }}
+        >
+          {addressError || error || message}
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default StatementExport;
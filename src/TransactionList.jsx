@@ -0,0 +1,97 @@
+// src/TransactionList.jsx
+import ExplorerAnchor from "./ExplorerAnchor";
+import { linkButtonStyle } from "./display";
+
+const STATUS_STYLES = {
+  pending: { label: "Pending", color: "#facc15" },
+  confirmed: { label: "Confirmed", color: "#22c55e" },
+  "sped-up": { label: "Sped up", color: "#22c55e" },
+  failed: { label: "Failed", color: "#f87171" },
+  cancelled: { label: "Cancelled", color: "#9ca3af" },
+  replaced: { label: "Replaced", color: "#fb923c" },
+  dropped: { label: "Dropped", color: "#9ca3af" },
+};
+
+function TransactionList({
+  transactions,
+  network,
+  account,
+  busyHash,
+  onSpeedUp,
+  onCancel,
+  onClear,
+}) {
+  if (transactions.length === 0) return null;
+
+  const canManage = (tx) =>
+    tx.status === "pending" &&
+    Boolean(account) &&
+    tx.from.toLowerCase() === account.toLowerCase();
+
+  return (
+    <div style={{ marginTop: "0.6rem", fontSize: "0.86rem" }}>
+      {transactions.map((tx) => {
+        const { label, color } = STATUS_STYLES[tx.status] || STATUS_STYLES.pending;
+        return (
+          <div
+            key={tx.hash}
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              alignItems: "center",
+              gap: "0.6rem",
+              padding: "0.35rem 0",
+              borderBottom: "1px solid rgba(148,163,184,0.12)",
+            }}
+          >
+            <span style={{ color, fontWeight: 600, minWidth: "78px" }}>
+              {label}
+            </span>
+            <span style={{ color: "#cbd5f5", flex: 1 }}>
+              {tx.label}{" "}
+              <ExplorerAnchor network={network} kind="tx" value={tx.hash}>
+                {tx.hash.slice(0, 10)}...
+              </ExplorerAnchor>
+              {tx.replacedBy && (
+                <>
+                  {" → "}
+                  <ExplorerAnchor network={network} kind="tx" value={tx.replacedBy}>
+                    {tx.replacedBy.slice(0, 10)}...
+                  </ExplorerAnchor>
+                </>
+              )}
+            </span>
+            {canManage(tx) && (
+              <span style={{ display: "flex", gap: "0.6rem" }}>
+                <button
+                  onClick={() => onSpeedUp(tx)}
+                  disabled={busyHash === tx.hash}
+                  style={linkButtonStyle}
+                >
+                  Speed up
+                </button>
+                <button
+                  onClick={() => onCancel(tx)}
+                  disabled={busyHash === tx.hash}
+                  style={{ ...linkButtonStyle, color: "#f87171" }}
+                >
+                  Cancel
+                </button>
+              </span>
+            )}
+          </div>
+        );
+      })}
+      {transactions.some((tx) => tx.status !== "pending") && (
+        <button
+          onClick={onClear}
+          style={{ ...linkButtonStyle, marginTop: "0.4rem", color: "#9ca3af" }}
+        >
+          Clear finished
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TransactionList;
@@ -0,0 +1,137 @@
+// src/UnlockReminder.jsx
+import useUnlockReminder from "./useUnlockReminder";
+import { buildUnlockEvent } from "./lib/calendar";
+import { downloadFile } from "./download";
+import { linkButtonStyle } from "./display";
+
+const ALARMS = [
+  { value: "", label: "No alarm" },
+  { value: "0", label: "Alarm at unlock" },
+  { value: "15", label: "15 min before" },
+  { value: "60", label: "1 hour before" },
+  { value: "1440", label: "1 day before" },
+];
+
+// "Remind me" controls under the unlock countdown: a browser notification
+// while the app is open, and an .ics event for the user's calendar.
+function UnlockReminder({
+  network,
+  vaultAddress,
+  label,
+  unlockTime,
+  chainNow,
+}) {
+  const vaultKey = `${network?.chainId}:${vaultAddress.toLowerCase()}`;
+  const {
+    reminder,
+    permission,
+    enableNotifications,
+    disableNotifications,
+    setAlarmMinutes,
+    markExported,
+  } = useUnlockReminder({ vaultKey, unlockTime, chainNow, label });
+
+  if (!(unlockTime > 0)) return null;
+  const unlocked = chainNow > 0 && chainNow >= unlockTime;
+  const outdated =
+    reminder.exportedFor != null && reminder.exportedFor !== unlockTime;
+
+  const exportEvent = () => {
+    const ics = buildUnlockEvent({
+      unlockTime,
+      chainId: network?.chainId || "",
+      vaultAddress,
+      networkName: network?.name,
+      label,
+      url: window.location.href,
+      alarmMinutes: reminder.alarmMinutes,
+    });
+    downloadFile(
+      `metalocked-unlock-${vaultAddress.slice(2, 8).toLowerCase()}.ics`,
+      ics,
+      "text/calendar"
+    );
+    markExported(unlockTime);
+  };
+
+  return (
+    <div
+      style={{
+        margin: "-0.4rem 0 0.8rem",
+        fontSize: "0.82rem",
+        color: "#9ca3af",
+      }}
+    >
+      {outdated && (
+        <p style={{ margin: "0 0 0.4rem", color: "#fde68a" }}>
+          The unlock time moved since you exported the calendar event.{" "}
+          <button onClick={exportEvent} style={linkButtonStyle}>
+            Download the updated event
+          </button>
+        </p>
+      )}
+      {!unlocked && (
+        <div
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            gap: "0.7rem",
+            alignItems: "center",
+          }}
+        >
+          <span>Remind me:</span>
+          {permission === "unsupported" ? (
+            <span>notifications aren&apos;t available in this browser</span>
+          ) : reminder.notify ? (
+            <button onClick={disableNotifications} style={linkButtonStyle}>
+              🔔 Notifying · turn off
+            </button>
+          ) : (
+            <button
+              onClick={enableNotifications}
+              disabled={permission === "denied"}
+              style={{
+                ...linkButtonStyle,
+                opacity: permission === "denied" ? 0.5 : 1,
+              }}
+              title={
+                permission === "denied"
+                  ? "Notifications are blocked for this site in your browser settings."
+                  : "Shows a notification when the lock expires while this page is open."
+              }
+            >
+              Browser notification
+            </button>
+          )}
+          <button onClick={exportEvent} style={linkButtonStyle}>
+            Add to calendar (.ics)
+          </button>
+          <select
+            value={reminder.alarmMinutes ?? ""}
+            onChange={(e) =>
+              setAlarmMinutes(
+                e.target.value === "" ? null : Number(e.target.value)
+              )
+            }
+            style={{
+              padding: "0.2rem 0.4rem",
+              borderRadius: "8px",
+              border: "1px solid rgba(148,163,184,0.45)",
+              background: "#020617",
+              color: "#e5e7eb",
+              fontSize: "0.8rem",
+            }}
+          >
+            {ALARMS.map((a) => (
+              <option key={a.value} value={a.value}>
+                {a.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default UnlockReminder;
@@ -0,0 +1,304 @@
+// src/VaultDashboard.jsx
+import { useEffect, useState } from "react";
+import { formatEther, isAddress } from "ethers";
+import ExplorerAnchor from "./ExplorerAnchor";
+import { getReadProvider } from "./networks";
+import { readVaultStates } from "./lib/multicall";
+import { classifyError } from "./lib/errors";
+import { formatCountdown } from "./time";
+import { shortAddress, linkButtonStyle } from "./display";
+
+const SORTS = {
+  unlock: "Soonest unlock",
+  balance: "Largest balance",
+};
+
+const vaultKey = (vault) => `${vault.chainId}:${vault.address.toLowerCase()}`;
+
+const inputStyle = {
+  padding: "0.35rem 0.5rem",
+  borderRadius: "8px",
+  border: "1px solid rgba(148,163,184,0.45)",
+  background: "#020617",
+  color: "#e5e7eb",
+  fontSize: "0.82rem",
+};
+
+// Still-locked vaults first (soonest first), then unlocked, then unreadable.
+const byUnlock = (a, b) => {
+  const rank = (s) => (!s || s.error ? 2 : s.isUnlocked ? 1 : 0);
+  if (rank(a.snapshot) !== rank(b.snapshot)) {
+    return rank(a.snapshot) - rank(b.snapshot);
+  }
+  return (a.snapshot?.unlockTime || 0) - (b.snapshot?.unlockTime || 0);
+};
+
+const byBalance = (a, b) => {
+  const x = a.snapshot?.balance ?? -1n;
+  const y = b.snapshot?.balance ?? -1n;
+  return x === y ? 0 : x > y ? -1 : 1;
+};
+
+// One batched read per chain for every vault in `vaults`.
+const loadSnapshots = async (vaults) => {
+  const byChain = new Map();
+  for (const vault of vaults) {
+    const group = byChain.get(vault.chainId) || [];
+    byChain.set(vault.chainId, [...group, vault]);
+  }
+
+  const snapshots = {};
+  const blockTimes = {};
+  await Promise.all(
+    [...byChain.values()].map(async (group) => {
+      const provider = getReadProvider(group[0].network);
+      try {
+        if (!provider) throw new Error("No RPC configured for this network.");
+        const result = await readVaultStates(
+          provider,
+          group.map((v) => v.address)
+        );
+        blockTimes[group[0].chainId] = result.blockTimestamp;
+        result.vaults.forEach((snapshot, i) => {
+          snapshots[vaultKey(group[i])] = snapshot;
+        });
+      } catch (err) {
+        console.error(err);
+        for (const vault of group) {
+          snapshots[vaultKey(vault)] = {
+            error: classifyError(err).message,
+          };
+        }
+      }
+    })
+  );
+  return { snapshots, blockTimes };
+};
+
+// Every known vault (registry + saved + watched) across networks, read in
+// one batch per chain. `vaults` entries are { chainId, address, label,
+// network }; keep the array stable between renders (useMemo).
+function VaultDashboard({
+  vaults,
+  networks,
+  account,
+  currentVault,
+  reloadKey,
+  onOpen,
+  onWatch,
+}) {
+  const [data, setData] = useState({ snapshots: {}, blockTimes: {} });
+  const [loading, setLoading] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [sort, setSort] = useState("unlock");
+  const [watchAddress, setWatchAddress] = useState("");
+  const [watchLabel, setWatchLabel] = useState("");
+  const [watchChain, setWatchChain] = useState(networks[0]?.chainId || "");
+  const [watchError, setWatchError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      const loaded = await loadSnapshots(vaults);
+      if (!cancelled) {
+        setData(loaded);
+        setLoading(false);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [vaults, reloadKey, refreshKey]);
+
+  const rows = vaults
+    .map((vault) => ({ vault, snapshot: data.snapshots[vaultKey(vault)] }))
+    .sort(sort === "balance" ? byBalance : byUnlock);
+
+  const watch = (e) => {
+    e.preventDefault();
+    if (!isAddress(watchAddress.trim())) {
+      setWatchError("Enter a valid contract address.");
+      return;
+    }
+    setWatchError("");
+    onWatch({
+      chainId: watchChain,
+      address: watchAddress.trim(),
+      label: watchLabel.trim() || "Watched vault",
+    });
+    setWatchAddress("");
+    setWatchLabel("");
+  };
+
+  return (
+    <section
+      style={{
+        marginTop: "1.6rem",
+        background: "#020617",
+        borderRadius: "14px",
+        padding: "1rem 1.2rem",
+        border: "1px solid rgba(148,163,184,0.25)",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          gap: "0.6rem",
+          marginBottom: "0.5rem",
+        }}
+      >
+        <h3 style={{ margin: 0, fontSize: "1.02rem", color: "#e5e7eb" }}>
+          All Vaults
+        </h3>
+        <span style={{ display: "flex", gap: "0.6rem", alignItems: "center" }}>
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            style={inputStyle}
+          >
+            {Object.entries(SORTS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => setRefreshKey((n) => n + 1)}
+            disabled={loading}
+            style={linkButtonStyle}
+          >
+            {loading ? "Loading..." : "Refresh"}
+          </button>
+        </span>
+      </div>
+
+      <div style={{ fontSize: "0.86rem" }}>
+        {rows.map(({ vault, snapshot }) => {
+          const key = vaultKey(vault);
+          const isCurrent = key === currentVault;
+          const blockTime = data.blockTimes[vault.chainId] || 0;
+          const isMine =
+            Boolean(account && snapshot?.owner) &&
+            account.toLowerCase() === snapshot.owner.toLowerCase();
+          return (
+            <div
+              key={key}
+              style={{
+                display: "grid",
+                gridTemplateColumns: "1.4fr 1fr 1.2fr auto",
+                gap: "0.6rem",
+                alignItems: "center",
+                padding: "0.45rem 0",
+                borderBottom: "1px solid rgba(148,163,184,0.12)",
+              }}
+            >
+              <span style={{ color: "#cbd5f5" }}>
+                {vault.label}{" "}
+                <span style={{ color: "#9ca3af" }}>
+                  · {vault.network.name} ·{" "}
+                  <ExplorerAnchor
+                    network={vault.network}
+                    kind="address"
+                    value={vault.address}
+                  >
+                    {shortAddress(vault.address)}
+                  </ExplorerAnchor>
+                </span>
+              </span>
+              <span style={{ color: "#cbd5f5" }}>
+                {snapshot?.balance != null
+                  ? `${formatEther(snapshot.balance)} ETH`
+                  : "—"}
+              </span>
+              <span>
+                {snapshot?.error ? (
+                  <span style={{ color: "#f87171" }}>{snapshot.error}</span>
+                ) : snapshot ? (
+                  <>
+                    <span
+                      style={{
+                        color: snapshot.isUnlocked ? "#22c55e" : "#facc15",
+                        fontWeight: 600,
+                      }}
+                    >
+                      {snapshot.isUnlocked
+                        ? "🔓 unlocked"
+                        : `🔒 ${formatCountdown(snapshot.unlockTime - blockTime)}`}
+                    </span>
+                    <span style={{ display: "block", color: "#9ca3af" }}>
+                      owner {isMine ? "you" : shortAddress(snapshot.owner)}
+                    </span>
+                  </>
+                ) : (
+                  <span style={{ color: "#9ca3af" }}>Loading...</span>
+                )}
+              </span>
+              {isCurrent ? (
+                <span style={{ color: "#9ca3af", fontSize: "0.82rem" }}>
+                  Viewing
+                </span>
+              ) : (
+                <button onClick={() => onOpen(vault)} style={linkButtonStyle}>
+                  Open
+                </button>
+              )}
+            </div>
+          );
+        })}
+        {rows.length === 0 && (
+          <p style={{ margin: 0, color: "#9ca3af" }}>No vaults yet.</p>
+        )}
+      </div>
+
+      <form
+        onSubmit={watch}
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "0.4rem",
+          marginTop: "0.8rem",
+        }}
+      >
+        <input
+          placeholder="Watch a vault address (0x...)"
+          value={watchAddress}
+          onChange={(e) => setWatchAddress(e.target.value)}
+          style={{ ...inputStyle, flex: "2 1 220px" }}
+        />
+        <input
+          placeholder="Label (optional)"
+          value={watchLabel}
+          onChange={(e) => setWatchLabel(e.target.value)}
+          style={{ ...inputStyle, flex: "1 1 120px" }}
+        />
+        <select
+          value={watchChain}
+          onChange={(e) => setWatchChain(e.target.value)}
+          style={inputStyle}
+        >
+          {networks.map((n) => (
+            <option key={n.chainId} value={n.chainId}>
+              {n.name}
+            </option>
+          ))}
+        </select>
+        <button type="submit" style={linkButtonStyle}>
+          Watch
+        </button>
+        {watchError && (
+          <span
+            style={{ flexBasis: "100%", color: "#f87171", fontSize: "0.82rem" }}
+          >
+            {watchError}
+          </span>
+        )}
+      </form>
+    </section>
+  );
+}
+
+export default VaultDashboard;
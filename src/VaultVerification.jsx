@@ -0,0 +1,82 @@
+// src/VaultVerification.jsx
+import { useState } from "react";
+
+const STATUS = {
+  verified: { color: "#22c55e", label: "Verified MetaLocked contract" },
+  unverified: {
+    color: "#facc15",
+    label: "Vault functions found, build not verified: deposits blocked",
+  },
+  failed: { color: "#f87171", label: "Not a recognised MetaLocked vault" },
+};
+
+const mark = (ok) => (ok === null ? "–" : ok ? "✓" : "✗");
+const markColor = (ok) =>
+  ok === null ? "#9ca3af" : ok ? "#22c55e" : "#f87171";
+
+// Result of the deployed-code check for the selected vault, with the
+// individual checks on click. `verification` comes from useVaultVerification.
+function VaultVerification({ verification }) {
+  const [open, setOpen] = useState(false);
+  const { checking, result, error } = verification;
+
+  if (checking) {
+    return (
+      <p style={{ margin: "0.3rem 0", fontSize: "0.82rem", color: "#9ca3af" }}>
+        Checking the contract code...
+      </p>
+    );
+  }
+  if (!result) {
+    return error ? (
+      <p style={{ margin: "0.3rem 0", fontSize: "0.82rem", color: "#fde68a" }}>
+        Could not check the contract code: {error}
+      </p>
+    ) : null;
+  }
+
+  const { color, label } = STATUS[result.status];
+  return (
+    <div style={{ margin: "0.3rem 0", fontSize: "0.82rem" }}>
+      <button
+        type="button"
+        onClick={() => setOpen((o) => !o)}
+        style={{
+          background: "none",
+          border: "none",
+          padding: 0,
+          color,
+          fontSize: "0.82rem",
+          cursor: "pointer",
+        }}
+      >
+        {mark(result.status === "verified")} {label}{" "}
+        <span style={{ color: "#38bdf8" }}>{open ? "Hide" : "Details"}</span>
+      </button>
+      {open && (
+        <ul
+          style={{
+            margin: "0.3rem 0 0",
+            paddingLeft: "1.1rem",
+            color: "#9ca3af",
+            listStyle: "none",
+          }}
+        >
+          {result.checks.map((check) => (
+            <li
+              key={check.label}
+              style={{ margin: "0.15rem 0", wordBreak: "break-all" }}
+            >
+              <span style={{ color: markColor(check.ok) }}>
+                {mark(check.ok)}
+              </span>{" "}
+              <strong>{check.label}:</strong> {check.detail}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default VaultVerification;
@@ -0,0 +1,76 @@
+// src/WalletPicker.jsx
+import { walletId } from "./wallets";
+
+function WalletPicker({ wallets, selectedId, onSelect, onCancel }) {
+  return (
+    <div
+      style={{
+        marginTop: "0.8rem",
+        padding: "0.7rem 0.8rem",
+        borderRadius: "10px",
+        border: "1px solid rgba(148,163,184,0.35)",
+        background: "rgba(148,163,184,0.06)",
+      }}
+    >
+      <p style={{ margin: "0 0 0.5rem", fontSize: "0.85rem", color: "#9ca3af" }}>
+        Several wallets are installed. Choose the one to use with MetaLocked:
+      </p>
+      <div style={{ display: "flex", flexDirection: "column", gap: "0.4rem" }}>
+        {wallets.map((wallet) => {
+          const id = walletId(wallet);
+          const selected = id === selectedId;
+          return (
+            <button
+              key={id}
+              onClick={() => onSelect(wallet)}
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: "0.6rem",
+                background: selected ? "rgba(14,165,233,0.15)" : "#020617",
+                border: selected
+                  ? "1px solid rgba(14,165,233,0.6)"
+                  : "1px solid rgba(148,163,184,0.35)",
+                color: "#e5e7eb",
+                padding: "0.45rem 0.7rem",
+                borderRadius: "8px",
+                fontSize: "0.88rem",
+                cursor: "pointer",
+                textAlign: "left",
+              }}
+            >
+              {wallet.info.icon ? (
+                <img
+                  src={wallet.info.icon}
+                  alt=""
+                  width={22}
+                  height={22}
+                  style={{ borderRadius: "4px" }}
+                />
+              ) : (
+                <span style={{ width: "22px", textAlign: "center" }}>👛</span>
+              )}
+              {wallet.info.name}
+            </button>
+          );
+        })}
+      </div>
+      <button
+        onClick={onCancel}
+        style={{
+          marginTop: "0.5rem",
+          background: "none",
+          border: "none",
+          color: "#9ca3af",
+          padding: 0,
+          fontSize: "0.82rem",
+          cursor: "pointer",
+        }}
+      >
+        Cancel
+      </button>
+    </div>
+  );
+}
+
+export default WalletPicker;
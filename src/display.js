@@ -0,0 +1,16 @@
+// src/display.js
+// Small presentation helpers shared by the components.
+
+// "0x1234…abcd"; a dash when there is no address.
+export const shortAddress = (address) =>
+  address ? `${address.slice(0, 6)}…${address.slice(-4)}` : "—";
+
+// A <button> that looks like an inline link.
+export const linkButtonStyle = {
+  background: "none",
+  border: "none",
+  color: "#38bdf8",
+  cursor: "pointer",
+  padding: 0,
+  fontSize: "0.82rem",
+};
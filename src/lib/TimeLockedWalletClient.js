@@ -0,0 +1,332 @@
+// src/lib/TimeLockedWalletClient.js
+// Framework-agnostic client for the time-locked wallet contract. Works with
+// any ethers v6 runner: a provider for reads, a signer for writes. Shared by
+// the React app and Node scripts, hence the explicit JSON import attribute.
+import { Contract } from "ethers";
+import abi from "../abi.json" with { type: "json" };
+import {
+  VAULT_EVENTS,
+  fetchAllEvents,
+  fetchEventsPage,
+  findDeployBlock,
+  toActivityEntries,
+} from "./history.js";
+import {
+  SimulationError,
+  simulateAndSend,
+  simulateGasLimit,
+} from "./preflight.js";
+import { verifyVaultCode } from "./verify.js";
+import { withRetry } from "./errors.js";
+import {
+  CALENDAR_UNITS,
+  addDuration,
+  planLockExtension,
+  toSeconds,
+} from "./duration.js";
+import {
+  buildStatement,
+  fetchReceipts,
+  matchesFilters,
+} from "./statement.js";
+
+export { VAULT_EVENTS };
+
+/**
+ * @typedef {Object} VaultState
+ * @property {string} address       Vault contract address
+ * @property {bigint} balance       Vault balance in wei
+ * @property {number} unlockTime    Unix seconds when withdrawals open
+ * @property {string} owner         Address allowed to withdraw / extend
+ * @property {number} blockNumber   Block the state was read at
+ * @property {number} blockTimestamp Timestamp of that block
+ * @property {boolean} isUnlocked   blockTimestamp >= unlockTime
+ */
+
+/**
+ * @typedef {Object} ActivityEntry
+ * @property {string} key
+ * @property {"Deposited"|"Withdrawn"|"LockExtended"} type
+ * @property {number} blockNumber
+ * @property {string} txHash
+ * @property {number} timestamp
+ * @property {string} actor
+ * @property {bigint|null} amount
+ * @property {number} oldUnlockTime
+ * @property {number} newUnlockTime
+ */
+
+export class TimeLockedWalletClient {
+  #blockCache = new Map();
+  #lastState = null;
+  #deployLookup = null;
+  #codeVerified = false;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.address  Vault contract address
+   * @param {import("ethers").ContractRunner} options.runner  Provider or signer
+   * @param {number} [options.deployBlock]  First block to scan for history;
+   *   0 if unknown, in which case it is looked up on first use
+   */
+  constructor({ address, runner, deployBlock = 0 }) {
+    if (!address) throw new Error("A vault address is required.");
+    if (!runner) throw new Error("A provider or signer is required.");
+    this.address = address;
+    this.runner = runner;
+    this.deployBlock = deployBlock;
+    this.contract = new Contract(address, abi, runner);
+  }
+
+  get provider() {
+    return this.runner.provider || this.runner;
+  }
+
+  // Where history scans start. A vault without a known deploy block (a
+  // watched one, or a network config without it) would otherwise be
+  // scanned from genesis on every history read.
+  async #startBlock() {
+    if (this.deployBlock > 0) return this.deployBlock;
+    this.#deployLookup ??= findDeployBlock(this.provider, this.address).then(
+      (block) => block ?? 0
+    );
+    return this.#deployLookup;
+  }
+
+  /** Same vault, different runner (e.g. a signer for writes). */
+  connect(runner) {
+    return new TimeLockedWalletClient({
+      address: this.address,
+      runner,
+      deployBlock: this.deployBlock,
+    });
+  }
+
+  /**
+   * Retried with backoff when the RPC times out or is unreachable.
+   * @returns {Promise<VaultState>}
+   */
+  async getState() {
+    const { block, balance, unlockTime, owner } = await withRetry(() =>
+      this.#readState()
+    );
+    this.#lastState = {
+      address: this.address,
+      balance,
+      unlockTime: Number(unlockTime),
+      owner,
+      blockNumber: block.number,
+      blockTimestamp: block.timestamp,
+      isUnlocked: block.timestamp >= Number(unlockTime),
+    };
+    return this.#lastState;
+  }
+
+  async #readState() {
+    const block = await this.provider.getBlock("latest");
+    const blockTag = block.number;
+    const [balance, unlockTime, owner] = await Promise.all([
+      this.contract.getBalance({ blockTag }),
+      this.contract.unlockTime({ blockTag }),
+      this.contract.owner({ blockTag }),
+    ]);
+    return { block, balance, unlockTime, owner };
+  }
+
+  #requireSigner() {
+    if (typeof this.runner.sendTransaction !== "function") {
+      throw new Error("This action needs a signer; call connect(signer) first.");
+    }
+  }
+
+  #send(method, args, overrides) {
+    this.#requireSigner();
+    return simulateAndSend(this.contract, method, args, overrides, {
+      unlockTime: this.#lastState?.unlockTime,
+    });
+  }
+
+  /**
+   * Gas limit a write would be sent with, without sending it. Works on a
+   * read-only client when `overrides.from` names the sender. Throws
+   * SimulationError if the call would revert.
+   * @param {"deposit"|"withdraw"|"extendLock"} method
+   * @returns {Promise<bigint>}
+   */
+  async estimateGas(method, args = [], overrides = {}) {
+    return simulateGasLimit(this.contract, method, args, overrides, {
+      unlockTime: this.#lastState?.unlockTime,
+    });
+  }
+
+  // Money only goes to code that is a known vault build (lib/verify.js): a
+  // call to an address without code "succeeds" and the ETH is gone. Only a
+  // verified result is remembered, so anything else is checked again.
+  async #requireVerifiedCode() {
+    if (this.#codeVerified) return;
+    const result = await verifyVaultCode(this.provider, this.address);
+    if (result.status !== "verified") {
+      const problems = result.checks
+        .filter((check) => check.ok !== true)
+        .map((check) => `${check.label}: ${check.detail}`);
+      throw new SimulationError(
+        `Deposit refused: ${this.address} is not a known MetaLocked vault. ${problems.join(" ")}`
+      );
+    }
+    this.#codeVerified = true;
+  }
+
+  /**
+   * Refuses (SimulationError) unless the vault's code is a known build.
+   * @param {bigint} amount  Wei to send into the vault
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  async deposit(amount, overrides = {}) {
+    this.#requireSigner();
+    await this.#requireVerifiedCode();
+    return this.#send("deposit", [], { ...overrides, value: amount });
+  }
+
+  /**
+   * @param {bigint} amount  Wei to withdraw (owner only, after unlock)
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  async withdraw(amount, overrides = {}) {
+    return this.#send("withdraw", [amount], overrides);
+  }
+
+  /**
+   * Pushes the unlock time `seconds` further out (owner only).
+   * @param {number|bigint} seconds
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  async extendLockBy(seconds, overrides = {}) {
+    if (BigInt(seconds) <= 0n) {
+      throw new Error("The extension must be a positive number of seconds.");
+    }
+    return this.#send("extendLock", [seconds], overrides);
+  }
+
+  /**
+   * Moves the unlock time to `timestamp` (unix seconds). The contract only
+   * takes a relative extension, so the current unlockTime is read fresh.
+   * @param {number} timestamp
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  async extendLockUntil(timestamp, overrides = {}) {
+    const { unlockTime } = await this.getState();
+    const additionalSeconds = Math.floor(timestamp) - unlockTime;
+    if (additionalSeconds <= 0) {
+      throw new Error("New lock time must be later than the current unlock time.");
+    }
+    return this.extendLockBy(additionalSeconds, overrides);
+  }
+
+  /**
+   * Convenience for "+7 days" style input. Months and years are added to
+   * the current unlock date on the calendar.
+   */
+  async extendLockByDuration(value, unit, overrides = {}) {
+    if (!CALENDAR_UNITS[unit]) {
+      return this.extendLockBy(toSeconds(value, unit), overrides);
+    }
+    const { unlockTime } = await this.getState();
+    return this.extendLockBy(
+      addDuration(unlockTime, value, unit) - unlockTime,
+      overrides
+    );
+  }
+
+  /**
+   * Where a lock extension would land, from a fresh read of unlockTime and
+   * the latest block timestamp (the clock the contract uses). Pass either
+   * `until` (unix seconds) or `value` + `unit` counted from that block.
+   * @returns {Promise<{blockTimestamp: number, unlockTime: number, newUnlockTime: number, additionalSeconds: number, lockSeconds: number}>}
+   */
+  async previewLockExtension(target) {
+    const { blockTimestamp, unlockTime } = await this.getState();
+    return {
+      blockTimestamp,
+      unlockTime,
+      ...planLockExtension({ blockTimestamp, unlockTime, ...target }),
+    };
+  }
+
+  #filterFor(event, account) {
+    if (!event) return "*";
+    return account
+      ? this.contract.filters[event](account)
+      : this.contract.filters[event]();
+  }
+
+  /**
+   * Raw EventLogs, oldest first. `account` narrows Deposited / Withdrawn to
+   * one address (both are indexed).
+   */
+  async getLogs({ event, account, fromBlock, toBlock } = {}) {
+    return fetchAllEvents(this.contract, {
+      filter: this.#filterFor(event, account),
+      fromBlock: fromBlock ?? (await this.#startBlock()),
+      toBlock: toBlock ?? (await this.provider.getBlockNumber()),
+    });
+  }
+
+  /** @returns {Promise<ActivityEntry[]>} oldest first */
+  async getHistory(options = {}) {
+    const logs = await this.getLogs(options);
+    return toActivityEntries(logs, this.#blockCache);
+  }
+
+  /**
+   * Every event since the deploy block with gas paid and running balance,
+   * then narrowed down by `filters`.
+   * @param {{from?: number, to?: number, address?: string}} [filters]
+   * @returns {Promise<import("./statement.js").StatementRow[]>}
+   */
+  async getStatement(filters = {}) {
+    const entries = await this.getHistory();
+    const receipts = await fetchReceipts(
+      this.provider,
+      entries
+        .filter((entry) => matchesFilters(entry, filters))
+        .map((entry) => entry.txHash)
+    );
+    return buildStatement(entries, receipts, filters);
+  }
+
+  /**
+   * One page of history walking backwards from `toBlock` (default: head).
+   * @returns {Promise<{entries: ActivityEntry[], nextToBlock: number, done: boolean}>}
+   */
+  async getHistoryPage({ toBlock, pageSize = 20 } = {}) {
+    const page = await fetchEventsPage(this.contract, {
+      toBlock: toBlock ?? (await this.provider.getBlockNumber()),
+      fromBlock: await this.#startBlock(),
+      pageSize,
+    });
+    const entries = await toActivityEntries(page.logs, this.#blockCache);
+    return { entries, nextToBlock: page.nextToBlock, done: page.done };
+  }
+
+  /**
+   * Calls `onEvent(eventName, log)` for every new vault event from any sender.
+   * @returns {() => void} unsubscribe
+   */
+  watch(onEvent) {
+    const handlers = VAULT_EVENTS.map((name) => {
+      const handler = (...args) => {
+        const payload = args[args.length - 1];
+        onEvent(name, payload.log);
+      };
+      this.contract.on(name, handler);
+      return [name, handler];
+    });
+    return () => {
+      for (const [name, handler] of handlers) {
+        this.contract.off(name, handler);
+      }
+    };
+  }
+}
+
+export default TimeLockedWalletClient;
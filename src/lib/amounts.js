@@ -0,0 +1,50 @@
+// src/lib/amounts.js
+// Exact decimal amounts: what the user typed is parsed as a string, never
+// through a float, so "0.1" is exactly 10^17 wei and "1e-7" is rejected
+// instead of silently meaning something else.
+import { formatUnits, parseUnits } from "ethers";
+
+/** Selectable input units and their decimals. */
+export const AMOUNT_UNITS = {
+  ETH: 18,
+  gwei: 9,
+  wei: 0,
+};
+
+const DECIMAL = /^(\d+\.?\d*|\.\d+)$/;
+
+/**
+ * @param {string} text  As typed; surrounding whitespace is ignored
+ * @param {keyof AMOUNT_UNITS} unit
+ * @returns {{wei: bigint|null, error: string}}
+ *   `wei` is null for empty or invalid input; `error` is "" when empty.
+ */
+export const parseAmount = (text, unit = "ETH") => {
+  const value = String(text ?? "").trim();
+  if (!value) return { wei: null, error: "" };
+  if (!DECIMAL.test(value)) {
+    return { wei: null, error: "Enter a plain decimal number, e.g. 0.25." };
+  }
+  const decimals = AMOUNT_UNITS[unit];
+  const fraction = value.split(".")[1] || "";
+  if (fraction.length > decimals) {
+    return {
+      wei: null,
+      error:
+        decimals === 0
+          ? "wei amounts are whole numbers."
+          : `${unit} amounts have at most ${decimals} decimals.`,
+    };
+  }
+  const wei = parseUnits(value.endsWith(".") ? `${value}0` : value, decimals);
+  if (wei === 0n) return { wei: null, error: "Enter an amount above zero." };
+  return { wei, error: "" };
+};
+
+/**
+ * `wei` written in `unit` without a trailing ".0", e.g. for the Max button.
+ * @param {bigint} wei
+ * @param {keyof AMOUNT_UNITS} unit
+ */
+export const formatAmount = (wei, unit = "ETH") =>
+  formatUnits(wei, AMOUNT_UNITS[unit]).replace(/\.0$/, "");
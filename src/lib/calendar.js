@@ -0,0 +1,97 @@
+// src/lib/calendar.js
+// iCalendar (RFC 5545) event for a vault's unlock time, so the reminder
+// lives in the user's own calendar rather than in an open browser tab.
+
+const CRLF = "\r\n";
+
+// 20270131T093000Z
+const formatUtc = (seconds) =>
+  new Date(seconds * 1000).toISOString().replace(/[-:]/g, "").slice(0, 15) +
+  "Z";
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Content lines longer than 75 octets are folded onto continuation lines
+// that start with a space.
+const fold = (line) => {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = new TextEncoder().encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+/**
+ * One VEVENT at `unlockTime`. The UID is stable per vault, so importing a
+ * regenerated file (after LockExtended) updates the existing event in most
+ * calendar apps instead of adding a second one.
+ * @param {{unlockTime: number, chainId: string, vaultAddress: string, networkName?: string, label?: string, url?: string, alarmMinutes?: number|null}} options
+ *   `alarmMinutes`: fire an alarm this many minutes before; null for none.
+ * @returns {string}
+ */
+export const buildUnlockEvent = ({
+  unlockTime,
+  chainId,
+  vaultAddress,
+  networkName = "",
+  label = "MetaLocked vault",
+  url = "",
+  alarmMinutes = null,
+}) => {
+  if (!(unlockTime > 0)) throw new Error("Unlock time is not known yet.");
+  const summary = `${label} unlocks`;
+  const description = [
+    `${label} at ${vaultAddress}${networkName ? ` on ${networkName}` : ""} can be withdrawn from now on.`,
+    "The contract checks block time, which can be a few seconds behind.",
+    url,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//MetaLocked//Unlock reminder//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${chainId}-${vaultAddress.toLowerCase()}@metalocked`,
+    `SEQUENCE:${Math.floor(Date.now() / 1000)}`,
+    `DTSTAMP:${formatUtc(Math.floor(Date.now() / 1000))}`,
+    `DTSTART:${formatUtc(unlockTime)}`,
+    `DTEND:${formatUtc(unlockTime + 15 * 60)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    ...(url ? [`URL:${url}`] : []),
+    ...(alarmMinutes != null && alarmMinutes >= 0
+      ? [
+          "BEGIN:VALARM",
+          "ACTION:DISPLAY",
+          `DESCRIPTION:${escapeText(summary)}`,
+          `TRIGGER:-PT${Math.floor(alarmMinutes)}M`,
+          "END:VALARM",
+        ]
+      : []),
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join(CRLF) + CRLF;
+};
@@ -0,0 +1,49 @@
+// src/lib/deploy.js
+// Deploys a fresh vault from the creation bytecode in src/vaultBytecode.json,
+// compiled from contracts/TimeLockedWallet.sol with the compiler and settings
+// recorded next to it. A build may strip it out, so callers should check
+// hasBundledBytecode() before offering deployment.
+import { ContractFactory, isHexString } from "ethers";
+import abi from "../abi.json" with { type: "json" };
+import artifact from "../vaultBytecode.json" with { type: "json" };
+
+const isBytecode = (value) => isHexString(value) && value.length > 2;
+
+export const hasBundledBytecode = () => isBytecode(artifact.bytecode);
+
+/**
+ * Sends the deployment and waits for it to be mined.
+ * @param {import("ethers").Signer} signer
+ * @param {number|bigint} lockDurationSeconds  Constructor `_lockDuration`
+ * @param {{bytecode?: string, overrides?: object, onSent?: (tx: import("ethers").TransactionResponse) => void}} [options]
+ * @returns {Promise<{address: string, deployBlock: number, txHash: string}>}
+ */
+export const deployVault = async (
+  signer,
+  lockDurationSeconds,
+  { bytecode = artifact.bytecode, overrides = {}, onSent } = {}
+) => {
+  if (!isBytecode(bytecode)) {
+    throw new Error(
+      "No compiled vault bytecode is bundled (src/vaultBytecode.json)."
+    );
+  }
+  if (BigInt(lockDurationSeconds) <= 0n) {
+    throw new Error("The lock duration must be a positive number of seconds.");
+  }
+
+  const factory = new ContractFactory(abi, bytecode, signer);
+  const contract = await factory.deploy(lockDurationSeconds, overrides);
+  const tx = contract.deploymentTransaction();
+  onSent?.(tx);
+
+  const receipt = await tx.wait();
+  if (!receipt || receipt.status !== 1) {
+    throw new Error("The deployment failed on-chain.");
+  }
+  return {
+    address: receipt.contractAddress || (await contract.getAddress()),
+    deployBlock: receipt.blockNumber,
+    txHash: tx.hash,
+  };
+};
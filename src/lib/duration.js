@@ -0,0 +1,85 @@
+// src/lib/duration.js
+
+// Seconds per unit accepted by extendLockBy and the lock forms.
+export const DURATION_UNITS = {
+  seconds: 1,
+  minutes: 60,
+  hours: 60 * 60,
+  days: 60 * 60 * 24,
+  weeks: 60 * 60 * 24 * 7,
+};
+
+// Months and years differ in length, so they are added on the calendar
+// (in UTC) instead of being converted to seconds.
+export const CALENDAR_UNITS = { months: 1, years: 12 };
+
+export const LOCK_UNITS = [
+  ...Object.keys(DURATION_UNITS),
+  ...Object.keys(CALENDAR_UNITS),
+];
+
+export const toSeconds = (value, unit = "seconds") => {
+  const multiplier = DURATION_UNITS[unit];
+  if (!multiplier) throw new Error(`Unknown duration unit: ${unit}`);
+  return Math.floor(Number(value) * multiplier);
+};
+
+// Unix time `value` `unit`s after `timestamp`. Adding a month to Jan 31
+// lands on the last day of February, not in March.
+export const addDuration = (timestamp, value, unit) => {
+  const months = CALENDAR_UNITS[unit];
+  if (!months) return timestamp + toSeconds(value, unit);
+
+  const total = Number(value) * months;
+  if (!Number.isInteger(total)) {
+    throw new Error("Months and years must be whole numbers.");
+  }
+  const date = new Date(timestamp * 1000);
+  const day = date.getUTCDate();
+  date.setUTCMonth(date.getUTCMonth() + total);
+  if (date.getUTCDate() !== day) date.setUTCDate(0);
+  return Math.floor(date.getTime() / 1000);
+};
+
+/**
+ * Works out the extendLock call for a target given either as an absolute
+ * `until` (unix seconds) or as `value` + `unit` counted from `blockTimestamp`.
+ * `additionalSeconds` is what the contract adds to `unlockTime`; it is <= 0
+ * when the target is not later than the current unlock time.
+ * @returns {{newUnlockTime: number, additionalSeconds: number, lockSeconds: number}}
+ */
+export const planLockExtension = ({
+  blockTimestamp,
+  unlockTime,
+  until,
+  value,
+  unit,
+}) => {
+  const newUnlockTime =
+    until !== undefined
+      ? Math.floor(until)
+      : addDuration(blockTimestamp, value, unit);
+  return {
+    newUnlockTime,
+    additionalSeconds: newUnlockTime - unlockTime,
+    lockSeconds: newUnlockTime - blockTimestamp,
+  };
+};
+
+const SHORT_UNITS = {
+  s: "seconds",
+  m: "minutes",
+  h: "hours",
+  d: "days",
+  w: "weeks",
+};
+
+// Parses "90", "45m", "12h", "7d", "2w" (bare numbers are seconds).
+export const parseDuration = (text) => {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhdw])?$/i.exec(String(text).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${text}". Use e.g. 90s, 45m, 12h, 7d or 2w.`);
+  }
+  const unit = SHORT_UNITS[(match[2] || "s").toLowerCase()];
+  return toSeconds(match[1], unit);
+};
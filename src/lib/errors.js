@@ -0,0 +1,207 @@
+// src/lib/errors.js
+// One place that knows what a wallet or RPC failure means. ethers v6 tags
+// its errors with a `code`; wallets add EIP-1193 codes underneath. Both are
+// mapped to a small set of kinds with a message and a suggested next step,
+// and transient read failures can be retried with backoff.
+import { SimulationError, describeRevert } from "./preflight.js";
+
+export const ERROR_KINDS = {
+  REJECTED: "rejected",
+  PENDING_REQUEST: "pending-request",
+  INSUFFICIENT_FUNDS: "insufficient-funds",
+  REVERT: "revert",
+  NONCE: "nonce",
+  NETWORK: "network",
+  TIMEOUT: "timeout",
+  UNKNOWN: "unknown",
+};
+
+/**
+ * @typedef {Object} ClassifiedError
+ * @property {string} kind        One of ERROR_KINDS
+ * @property {string} code        ethers or wallet code, if any
+ * @property {string} message     What went wrong, for the user
+ * @property {string} action      What they can do about it ("" if nothing)
+ * @property {boolean} retryable  Safe to retry automatically (reads only)
+ */
+
+// Socket errors from Node's fetch (the CLI); browsers say "Failed to fetch".
+const SOCKET_CODES = ["ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "EAI_AGAIN"];
+
+// EIP-1193 / JSON-RPC codes from the wallet, however deep ethers wraps them.
+const walletCode = (err) =>
+  [err?.info?.error?.code, err?.error?.code, err?.code].find(
+    (code) => typeof code === "number"
+  );
+
+const httpStatus = (err) =>
+  err?.info?.responseStatus
+    ? Number(String(err.info.responseStatus).slice(0, 3))
+    : null;
+
+const text = (err) =>
+  [err?.shortMessage, err?.message, err?.info?.error?.message]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+
+const result = (kind, code, message, action, retryable = false) => ({
+  kind,
+  code: code === undefined ? "" : String(code),
+  message,
+  action,
+  retryable,
+});
+
+/**
+ * @param {unknown} err
+ * @param {{unlockTime?: number}} [context]  Used to word revert reasons
+ * @returns {ClassifiedError}
+ */
+export const classifyError = (err, context = {}) => {
+  const code = err?.code;
+  const rpcCode = walletCode(err);
+
+  if (err instanceof SimulationError) {
+    return result(
+      ERROR_KINDS.REVERT,
+      "CALL_EXCEPTION",
+      err.message,
+      "Nothing was sent and no gas was spent."
+    );
+  }
+  if (code === "ACTION_REJECTED" || rpcCode === 4001) {
+    return result(
+      ERROR_KINDS.REJECTED,
+      code,
+      "The request was rejected in the wallet.",
+      "Nothing was sent. Try again and approve it if you meant to."
+    );
+  }
+  if (rpcCode === -32002) {
+    return result(
+      ERROR_KINDS.PENDING_REQUEST,
+      rpcCode,
+      "The wallet already has a request waiting.",
+      "Open the wallet and approve or dismiss it first."
+    );
+  }
+  if (code === "INSUFFICIENT_FUNDS" || /insufficient funds/.test(text(err))) {
+    return result(
+      ERROR_KINDS.INSUFFICIENT_FUNDS,
+      "INSUFFICIENT_FUNDS",
+      "The wallet doesn't hold enough ETH for the amount plus gas.",
+      "Lower the amount or the fee, or add ETH to the wallet."
+    );
+  }
+  if (code === "CALL_EXCEPTION") {
+    const mined = Boolean(err.receipt);
+    return result(
+      ERROR_KINDS.REVERT,
+      code,
+      describeRevert(err, context),
+      mined
+        ? "The transaction was mined but reverted; its gas was spent."
+        : "Nothing was sent."
+    );
+  }
+  if (code === "NONCE_EXPIRED" || /nonce too low/.test(text(err))) {
+    return result(
+      ERROR_KINDS.NONCE,
+      "NONCE_EXPIRED",
+      "The wallet used a transaction number (nonce) that is already taken.",
+      "Wait for pending transactions to confirm, or reset the account's activity in the wallet, then send again."
+    );
+  }
+  if (code === "REPLACEMENT_UNDERPRICED") {
+    return result(
+      ERROR_KINDS.NONCE,
+      code,
+      "A pending transaction with the same nonce has a higher fee.",
+      "Raise the fee to replace it, or wait for it to confirm."
+    );
+  }
+  if (code === "TIMEOUT") {
+    return result(
+      ERROR_KINDS.TIMEOUT,
+      code,
+      "The network took too long to answer.",
+      "Try again in a moment.",
+      true
+    );
+  }
+  const status = httpStatus(err);
+  if (
+    code === "NETWORK_ERROR" ||
+    SOCKET_CODES.includes(code) ||
+    (code === "SERVER_ERROR" &&
+      (status === null || status === 429 || status >= 500)) ||
+    /failed to fetch|network ?error|rate limit|too many requests/.test(
+      text(err)
+    )
+  ) {
+    return result(
+      ERROR_KINDS.NETWORK,
+      code,
+      "Could not reach the network.",
+      "Check the connection or try another RPC endpoint, then retry.",
+      true
+    );
+  }
+  return result(
+    ERROR_KINDS.UNKNOWN,
+    code,
+    err?.shortMessage || err?.reason || err?.message || "Unknown error",
+    ""
+  );
+};
+
+/**
+ * One status line, e.g. "Deposit not sent: The vault is still locked ...
+ * Nothing was sent and no gas was spent."
+ * @param {string} action  What was attempted ("Deposit", "Network switch")
+ */
+export const describeError = (action, err, context) => {
+  const classified = classifyError(err, context);
+  const outcome =
+    classified.kind === ERROR_KINDS.REJECTED
+      ? "cancelled"
+      : err instanceof SimulationError
+        ? "not sent"
+        : "failed";
+  const hint = classified.action ? ` ${classified.action}` : "";
+  return `${action} ${outcome}: ${classified.message}${hint}`;
+};
+
+export const isTransientError = (err) => classifyError(err).retryable;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs `fn` again after a transient failure, waiting baseDelay, 2x, 4x, ...
+ * (capped, with jitter) between attempts. Only for reads: a write that
+ * timed out may still have been sent.
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {{retries?: number, baseDelay?: number, maxDelay?: number, shouldRetry?: (err: unknown) => boolean}} [options]
+ * @returns {Promise<T>}
+ */
+export const withRetry = async (
+  fn,
+  {
+    retries = 3,
+    baseDelay = 500,
+    maxDelay = 8000,
+    shouldRetry = isTransientError,
+  } = {}
+) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) throw err;
+      const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+      await sleep(delay / 2 + Math.random() * (delay / 2));
+    }
+  }
+};
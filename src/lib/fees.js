@@ -0,0 +1,130 @@
+// src/lib/fees.js
+// Fee suggestions and cost estimates for vault writes. Presets come from
+// eth_feeHistory priority-fee percentiles over the last few blocks, with
+// getFeeData() as the fallback for nodes that don't implement it.
+import { formatUnits, parseUnits, toQuantity } from "ethers";
+
+export const FEE_PRESETS = ["slow", "normal", "fast"];
+
+const PRESET_PERCENTILES = [10, 50, 90];
+const FEE_HISTORY_BLOCKS = 10;
+// Legacy (pre-London) chains only have a gas price; scale it per preset.
+const LEGACY_PRESET_PERCENT = [90n, 100n, 125n];
+const FALLBACK_PRIORITY_PERCENT = [80n, 100n, 150n];
+
+const average = (values) =>
+  values.length === 0
+    ? 0n
+    : values.reduce((sum, v) => sum + v, 0n) / BigInt(values.length);
+
+/**
+ * @typedef {Object} FeeSuggestions
+ * @property {boolean} eip1559
+ * @property {bigint|null} baseFee  Expected base fee of the next block
+ * @property {Object<string, {maxFeePerGas?: bigint, maxPriorityFeePerGas?: bigint, gasPrice?: bigint}>} presets
+ */
+
+/** @returns {Promise<FeeSuggestions>} */
+export const getFeeSuggestions = async (provider) => {
+  const block = await provider.getBlock("latest");
+
+  if (block?.baseFeePerGas === null || block?.baseFeePerGas === undefined) {
+    const { gasPrice } = await provider.getFeeData();
+    const presets = {};
+    FEE_PRESETS.forEach((name, i) => {
+      presets[name] = {
+        gasPrice: (gasPrice * LEGACY_PRESET_PERCENT[i]) / 100n,
+      };
+    });
+    return { eip1559: false, baseFee: null, presets };
+  }
+
+  let baseFee = block.baseFeePerGas;
+  let priorities = null;
+  try {
+    const history = await provider.send("eth_feeHistory", [
+      toQuantity(FEE_HISTORY_BLOCKS),
+      "latest",
+      PRESET_PERCENTILES,
+    ]);
+    // The last entry is the base fee of the block after "latest".
+    baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+    if (history.reward?.length) {
+      priorities = PRESET_PERCENTILES.map((_, i) =>
+        average(history.reward.map((row) => BigInt(row[i])))
+      );
+    }
+  } catch (err) {
+    console.warn("eth_feeHistory unavailable, using getFeeData()", err);
+  }
+
+  if (!priorities) {
+    const { maxPriorityFeePerGas } = await provider.getFeeData();
+    priorities = FALLBACK_PRIORITY_PERCENT.map(
+      (percent) => ((maxPriorityFeePerGas || 0n) * percent) / 100n
+    );
+  }
+
+  const presets = {};
+  FEE_PRESETS.forEach((name, i) => {
+    // 2x base fee survives six consecutive full blocks of base fee growth.
+    presets[name] = {
+      maxPriorityFeePerGas: priorities[i],
+      maxFeePerGas: baseFee * 2n + priorities[i],
+    };
+  });
+  return { eip1559: true, baseFee, presets };
+};
+
+/**
+ * Turns the user's choice into transaction overrides. `choice.preset` is one
+ * of FEE_PRESETS or "custom" (with gwei strings in maxFeeGwei / priorityGwei).
+ */
+export const resolveFeeOverrides = (suggestions, choice) => {
+  if (!suggestions) return {};
+  if (choice.preset !== "custom")
+    return suggestions.presets[choice.preset] || {};
+
+  if (!suggestions.eip1559) {
+    const gasPrice = parseUnits(choice.maxFeeGwei || "0", "gwei");
+    if (gasPrice <= 0n) throw new Error("Enter a gas price above 0 gwei.");
+    return { gasPrice };
+  }
+  const maxFeePerGas = parseUnits(choice.maxFeeGwei || "0", "gwei");
+  if (maxFeePerGas <= 0n) throw new Error("Enter a max fee above 0 gwei.");
+  const maxPriorityFeePerGas = parseUnits(choice.priorityGwei || "0", "gwei");
+  if (maxPriorityFeePerGas > maxFeePerGas) {
+    throw new Error("The priority fee cannot be higher than the max fee.");
+  }
+  return { maxFeePerGas, maxPriorityFeePerGas };
+};
+
+/**
+ * A custom fee the node accepts but that can't be included while the base
+ * fee stays where it is. Returns "" when the fee covers the base fee.
+ */
+export const lowFeeWarning = (suggestions, overrides) => {
+  const baseFee = suggestions?.baseFee;
+  const fee = overrides?.maxFeePerGas ?? overrides?.gasPrice;
+  if (!baseFee || fee === undefined || fee >= baseFee) return "";
+  const gwei = formatUnits(baseFee, "gwei").replace(/\.0$/, "");
+  return `Below the current base fee (${gwei} gwei): the transaction will wait until fees drop that low.`;
+};
+
+/**
+ * `expected` is what the transaction most likely costs at the current base
+ * fee; `max` is what the wallet must be able to cover.
+ * @returns {{expected: bigint, max: bigint}}
+ */
+export const estimateTxCost = (gasLimit, overrides, baseFee) => {
+  if (overrides.gasPrice !== undefined) {
+    const cost = gasLimit * overrides.gasPrice;
+    return { expected: cost, max: cost };
+  }
+  const maxFee = overrides.maxFeePerGas || 0n;
+  const effective = (baseFee || 0n) + (overrides.maxPriorityFeePerGas || 0n);
+  return {
+    expected: gasLimit * (effective < maxFee ? effective : maxFee),
+    max: gasLimit * maxFee,
+  };
+};
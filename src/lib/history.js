@@ -0,0 +1,183 @@
+// src/lib/history.js
+// Reads the vault's Deposited / Withdrawn / LockExtended events in block
+// chunks small enough for public RPC endpoints.
+import { isTransientError, withRetry } from "./errors.js";
+
+// Most hosted RPCs cap eth_getLogs at 10k blocks (some much lower), so
+// ranges are split into chunks and halved whenever a provider complains.
+export const HISTORY_CHUNK_SIZE = 10000;
+const MIN_CHUNK_SIZE = 50;
+
+export const VAULT_EVENTS = ["Deposited", "Withdrawn", "LockExtended"];
+
+const isRangeLimitError = (err) => {
+  const message = [err?.error?.message, err?.info?.error?.message, err?.message]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+  return /block range|range is too|too many|exceed|response size|more than/.test(message);
+};
+
+const isVaultEvent = (log) => VAULT_EVENTS.includes(log.eventName);
+
+// Queries [fromBlock, toBlock] in one go, or fewer blocks if the provider
+// rejects the range. Returns the logs plus the range actually covered.
+const queryChunk = async (
+  contract,
+  filter,
+  fromBlock,
+  toBlock,
+  chunkSize,
+  backwards
+) => {
+  let size = chunkSize;
+  for (;;) {
+    const start = backwards ? Math.max(fromBlock, toBlock - size + 1) : fromBlock;
+    const end = backwards ? toBlock : Math.min(toBlock, fromBlock + size - 1);
+    try {
+      // A range the provider refuses is split below rather than retried.
+      const logs = await withRetry(
+        () => contract.queryFilter(filter, start, end),
+        { shouldRetry: (e) => !isRangeLimitError(e) && isTransientError(e) }
+      );
+      return { logs: logs.filter(isVaultEvent), start, end, chunkSize: size };
+    } catch (err) {
+      if (!isRangeLimitError(err) || size <= MIN_CHUNK_SIZE) throw err;
+      size = Math.max(MIN_CHUNK_SIZE, Math.floor(size / 2));
+    }
+  }
+};
+
+const byNewestFirst = (a, b) =>
+  b.blockNumber - a.blockNumber || b.index - a.index;
+
+// Walks backwards from `toBlock` until at least `pageSize` events were found,
+// `fromBlock` is reached, or `maxChunks` requests were made. Pass the returned
+// `nextToBlock` back in to load the following (older) page.
+export const fetchEventsPage = async (
+  contract,
+  {
+    filter = "*",
+    toBlock,
+    fromBlock = 0,
+    pageSize = 20,
+    chunkSize = HISTORY_CHUNK_SIZE,
+    maxChunks = 10,
+  }
+) => {
+  const logs = [];
+  let end = toBlock;
+  let size = chunkSize;
+  let requests = 0;
+
+  while (end >= fromBlock && logs.length < pageSize && requests < maxChunks) {
+    const chunk = await queryChunk(contract, filter, fromBlock, end, size, true);
+    logs.push(...chunk.logs);
+    size = chunk.chunkSize;
+    end = chunk.start - 1;
+    requests += 1;
+  }
+
+  return {
+    logs: logs.sort(byNewestFirst),
+    nextToBlock: end,
+    done: end < fromBlock,
+    chunkSize: size,
+  };
+};
+
+// Loads every vault event between the two blocks, oldest first. `filter`
+// narrows it down, e.g. contract.filters.Deposited(address).
+export const fetchAllEvents = async (
+  contract,
+  { filter = "*", fromBlock = 0, toBlock, chunkSize = HISTORY_CHUNK_SIZE }
+) => {
+  const logs = [];
+  let start = fromBlock;
+  let size = chunkSize;
+
+  while (start <= toBlock) {
+    const chunk = await queryChunk(contract, filter, start, toBlock, size, false);
+    logs.push(...chunk.logs);
+    size = chunk.chunkSize;
+    start = chunk.end + 1;
+  }
+
+  return logs.sort((a, b) => -byNewestFirst(a, b));
+};
+
+// The block `address` was deployed in: the first one with code there, by
+// binary search over eth_getCode at past blocks. That is ~25 calls on a
+// testnet, against one eth_getLogs per HISTORY_CHUNK_SIZE blocks when
+// scanning from genesis. Resolves null when there is no code or the node
+// doesn't keep old state (pruned / non-archive).
+export const findDeployBlock = async (provider, address) => {
+  const hasCode = async (blockTag) =>
+    (await provider.getCode(address, blockTag)) !== "0x";
+  try {
+    let high = await provider.getBlockNumber();
+    if (!(await hasCode(high))) return null;
+    let low = 0;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (await hasCode(mid)) high = mid;
+      else low = mid + 1;
+    }
+    return low;
+  } catch (err) {
+    console.warn(`Could not find the deploy block of ${address}`, err);
+    return null;
+  }
+};
+
+// Turns raw EventLogs into plain rows for the UI. `blockCache` is a Map of
+// block number -> Promise<Block> shared across pages so each block is only
+// fetched once.
+export const toActivityEntries = async (logs, blockCache = new Map()) => {
+  const getBlock = (log) => {
+    if (!blockCache.has(log.blockNumber)) {
+      blockCache.set(log.blockNumber, log.getBlock());
+    }
+    return blockCache.get(log.blockNumber);
+  };
+
+  return Promise.all(
+    logs.map(async (log) => {
+      const block = await getBlock(log);
+      const entry = {
+        key: `${log.transactionHash}-${log.index}`,
+        type: log.eventName,
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash,
+        timestamp: block ? Number(block.timestamp) : 0,
+        actor: "",
+        amount: null,
+        oldUnlockTime: 0,
+        newUnlockTime: 0,
+      };
+
+      switch (log.eventName) {
+        case "Deposited":
+          entry.actor = log.args.from;
+          entry.amount = log.args.amount;
+          break;
+        case "Withdrawn":
+          entry.actor = log.args.to;
+          entry.amount = log.args.amount;
+          break;
+        case "LockExtended": {
+          // The event carries no address; the sender is the owner.
+          const tx = await log.getTransaction();
+          entry.actor = tx?.from || "";
+          entry.oldUnlockTime = Number(log.args.oldUnlockTime);
+          entry.newUnlockTime = Number(log.args.newUnlockTime);
+          break;
+        }
+        default:
+          break;
+      }
+
+      return entry;
+    })
+  );
+};
@@ -0,0 +1,171 @@
+// src/lib/ledger.js
+// Who put how much into the vault and how much of it the owner has sent
+// back. Deposits come from Deposited events. Refunds are plain ETH transfers
+// from the owner to a depositor: found by scanning the blocks after each
+// withdrawal, verified from a pasted transaction hash, or entered by hand.
+
+// Blocks scanned after each Withdrawn event (~1 hour on mainnet).
+export const REFUND_SCAN_BLOCKS = 300;
+const SCAN_CONCURRENCY = 5;
+
+/**
+ * @typedef {Object} Refund
+ * @property {string} id
+ * @property {string} to          Depositor address, lowercase
+ * @property {string} amount      wei as a decimal string
+ * @property {"matched"|"verified"|"batch"|"manual"} source
+ * @property {string|null} txHash
+ * @property {number|null} blockNumber
+ * @property {number} recordedAt  Unix ms
+ * @property {string} [note]
+ */
+
+/**
+ * @typedef {Object} LedgerRow
+ * @property {string} address     As emitted by the contract (checksummed)
+ * @property {bigint} deposited
+ * @property {number} depositCount
+ * @property {number} lastDepositAt  Unix seconds
+ * @property {bigint} refunded
+ * @property {bigint} owed        Never negative; over-refunds count as settled
+ */
+
+/**
+ * Totals Deposited entries (from getHistory) per depositor. The owner's own
+ * deposits are left out: nothing is owed for them.
+ * @param {import("./TimeLockedWalletClient.js").ActivityEntry[]} entries
+ * @param {{owner?: string, refunds?: Refund[]}} options
+ * @returns {LedgerRow[]} Largest amount owed first
+ */
+export const buildLedger = (entries, { owner, refunds = [] } = {}) => {
+  const ownerKey = owner?.toLowerCase();
+  const rows = new Map();
+
+  for (const entry of entries) {
+    if (entry.type !== "Deposited" || !entry.actor) continue;
+    const key = entry.actor.toLowerCase();
+    if (key === ownerKey) continue;
+    const row = rows.get(key) || {
+      address: entry.actor,
+      deposited: 0n,
+      depositCount: 0,
+      lastDepositAt: 0,
+      refunded: 0n,
+      owed: 0n,
+    };
+    row.deposited += entry.amount;
+    row.depositCount += 1;
+    row.lastDepositAt = Math.max(row.lastDepositAt, entry.timestamp);
+    rows.set(key, row);
+  }
+
+  for (const refund of refunds) {
+    const row = rows.get(refund.to);
+    if (row) row.refunded += BigInt(refund.amount);
+  }
+
+  return [...rows.values()]
+    .map((row) => ({
+      ...row,
+      owed: row.deposited > row.refunded ? row.deposited - row.refunded : 0n,
+    }))
+    .sort((a, b) => (a.owed === b.owed ? 0 : a.owed > b.owed ? -1 : 1));
+};
+
+// A refund is a successful, value-carrying, data-less transfer owner -> depositor.
+const asRefund = (tx, { owner, depositors }, source) => {
+  if (!tx?.to || tx.value <= 0n) return null;
+  if (tx.data && tx.data !== "0x") return null;
+  if (tx.from.toLowerCase() !== owner.toLowerCase()) return null;
+  const to = tx.to.toLowerCase();
+  if (!depositors.has(to)) return null;
+  return {
+    id: tx.hash,
+    to,
+    amount: tx.value.toString(),
+    source,
+    txHash: tx.hash,
+    blockNumber: tx.blockNumber,
+    recordedAt: Date.now(),
+  };
+};
+
+/**
+ * Scans the REFUND_SCAN_BLOCKS blocks after each withdrawal for transfers
+ * from the owner to a depositor. Standard JSON-RPC can't list an account's
+ * transactions, so refunds sent long after a withdrawal need to be verified
+ * by hash or entered by hand instead.
+ * @param {import("ethers").Provider} provider
+ * @param {{owner: string, depositors: Iterable<string>, withdrawals: number[], latestBlock: number}} options
+ *   `withdrawals` are the block numbers of the owner's Withdrawn events.
+ * @returns {Promise<Refund[]>}
+ */
+export const findRefundTransfers = async (
+  provider,
+  { owner, depositors, withdrawals, latestBlock }
+) => {
+  const context = {
+    owner,
+    depositors: new Set([...depositors].map((a) => a.toLowerCase())),
+  };
+  const blocks = new Set();
+  for (const start of withdrawals) {
+    const end = Math.min(start + REFUND_SCAN_BLOCKS, latestBlock);
+    for (let n = start; n <= end; n += 1) blocks.add(n);
+  }
+
+  const queue = [...blocks].sort((a, b) => a - b);
+  const found = [];
+  while (queue.length > 0) {
+    const batch = queue.splice(0, SCAN_CONCURRENCY);
+    const results = await Promise.all(
+      batch.map((n) => provider.getBlock(n, true))
+    );
+    for (const block of results) {
+      for (const tx of block?.prefetchedTransactions || []) {
+        const refund = asRefund(tx, context, "matched");
+        if (refund) found.push(refund);
+      }
+    }
+  }
+
+  // Drop transfers that were mined but reverted.
+  const receipts = await Promise.all(
+    found.map((r) => provider.getTransactionReceipt(r.txHash))
+  );
+  return found.filter((_, i) => receipts[i]?.status === 1);
+};
+
+/**
+ * Checks that `hash` is a mined transfer from the owner to one of the
+ * depositors and returns it as a refund.
+ * @param {import("ethers").Provider} provider
+ * @param {string} hash
+ * @param {{owner: string, depositors: Iterable<string>}} options
+ * @returns {Promise<Refund>}
+ */
+export const verifyRefundTransaction = async (
+  provider,
+  hash,
+  { owner, depositors }
+) => {
+  const [tx, receipt] = await Promise.all([
+    provider.getTransaction(hash),
+    provider.getTransactionReceipt(hash),
+  ]);
+  if (!tx) throw new Error("Transaction not found on this network.");
+  if (!receipt) throw new Error("The transaction is not mined yet.");
+  if (receipt.status !== 1) throw new Error("The transaction failed on-chain.");
+
+  const refund = asRefund(
+    tx,
+    { owner, depositors: new Set([...depositors].map((a) => a.toLowerCase())) },
+    "verified"
+  );
+  if (!refund) {
+    throw new Error(
+      "Not a refund: expected a plain ETH transfer from the owner to a depositor."
+    );
+  }
+  return refund;
+};
@@ -0,0 +1,175 @@
+// src/lib/multicall.js
+// Reads the state of many vaults on one chain at once: a single
+// Multicall3.aggregate3 eth_call where Multicall3 is deployed, otherwise
+// parallel calls (which ethers' JsonRpcProvider sends as one JSON-RPC batch).
+import { Contract, Interface } from "ethers";
+import abi from "../abi.json" with { type: "json" };
+import { withRetry } from "./errors.js";
+
+// Same address on nearly every EVM chain (https://www.multicall3.com).
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+  "function getCurrentBlockTimestamp() view returns (uint256 timestamp)",
+  "function getBlockNumber() view returns (uint256 blockNumber)",
+];
+
+const VAULT_READS = ["getBalance", "unlockTime", "owner"];
+
+const vaultInterface = new Interface(abi);
+const multicallInterface = new Interface(MULTICALL3_ABI);
+
+// provider -> Map(multicall address -> Promise<boolean>)
+const deployedCache = new WeakMap();
+
+const isDeployed = (provider, address) => {
+  if (!deployedCache.has(provider)) deployedCache.set(provider, new Map());
+  const known = deployedCache.get(provider);
+  if (!known.has(address)) {
+    known.set(
+      address,
+      provider.getCode(address).then(
+        (code) => code !== "0x",
+        () => false
+      )
+    );
+  }
+  return known.get(address);
+};
+
+/**
+ * @typedef {Object} VaultSnapshot
+ * @property {string} address
+ * @property {bigint|null} balance
+ * @property {number|null} unlockTime
+ * @property {string|null} owner
+ * @property {boolean|null} isUnlocked  Against the batch's block timestamp
+ * @property {string} error             Set when this vault couldn't be read
+ */
+
+const toSnapshot = (address, values, blockTimestamp) => {
+  if (!values) {
+    return {
+      address,
+      balance: null,
+      unlockTime: null,
+      owner: null,
+      isUnlocked: null,
+      error: "Not a MetaLocked vault, or the read failed.",
+    };
+  }
+  const [balance, unlockTime, owner] = values;
+  return {
+    address,
+    balance,
+    unlockTime: Number(unlockTime),
+    owner,
+    isUnlocked: blockTimestamp >= Number(unlockTime),
+    error: "",
+  };
+};
+
+const readWithMulticall = async (provider, addresses, multicallAddress) => {
+  const multicall = new Contract(multicallAddress, MULTICALL3_ABI, provider);
+  const calls = [
+    {
+      target: multicallAddress,
+      allowFailure: false,
+      callData: multicallInterface.encodeFunctionData("getBlockNumber"),
+    },
+    {
+      target: multicallAddress,
+      allowFailure: false,
+      callData: multicallInterface.encodeFunctionData(
+        "getCurrentBlockTimestamp"
+      ),
+    },
+    ...addresses.flatMap((target) =>
+      VAULT_READS.map((method) => ({
+        target,
+        allowFailure: true,
+        callData: vaultInterface.encodeFunctionData(method),
+      }))
+    ),
+  ];
+  const results = await multicall.aggregate3.staticCall(calls);
+
+  const blockNumber = Number(
+    multicallInterface.decodeFunctionResult(
+      "getBlockNumber",
+      results[0].returnData
+    )[0]
+  );
+  const blockTimestamp = Number(
+    multicallInterface.decodeFunctionResult(
+      "getCurrentBlockTimestamp",
+      results[1].returnData
+    )[0]
+  );
+  const vaults = addresses.map((address, i) => {
+    const slice = results.slice(
+      2 + i * VAULT_READS.length,
+      2 + (i + 1) * VAULT_READS.length
+    );
+    try {
+      if (!slice.every((r) => r.success)) throw new Error("call failed");
+      const values = slice.map(
+        (r, j) =>
+          vaultInterface.decodeFunctionResult(VAULT_READS[j], r.returnData)[0]
+      );
+      return toSnapshot(address, values, blockTimestamp);
+    } catch {
+      return toSnapshot(address, null, blockTimestamp);
+    }
+  });
+  return { vaults, blockNumber, blockTimestamp, batched: true };
+};
+
+const readInParallel = async (provider, addresses) => {
+  const block = await provider.getBlock("latest");
+  const blockTag = block.number;
+  const vaults = await Promise.all(
+    addresses.map(async (address) => {
+      const vault = new Contract(address, abi, provider);
+      try {
+        const values = await Promise.all(
+          VAULT_READS.map((method) => vault[method]({ blockTag }))
+        );
+        return toSnapshot(address, values, block.timestamp);
+      } catch {
+        return toSnapshot(address, null, block.timestamp);
+      }
+    })
+  );
+  return {
+    vaults,
+    blockNumber: block.number,
+    blockTimestamp: block.timestamp,
+    batched: false,
+  };
+};
+
+/**
+ * Snapshots every vault in `addresses` at one block. A vault that can't be
+ * read gets an `error` instead of failing the whole batch; the batch itself
+ * is retried if the RPC is briefly unreachable.
+ * @param {import("ethers").Provider} provider
+ * @param {string[]} addresses
+ * @param {{multicallAddress?: string}} [options]
+ * @returns {Promise<{vaults: VaultSnapshot[], blockNumber: number, blockTimestamp: number, batched: boolean}>}
+ *   `batched` tells whether Multicall3 was used.
+ */
+export const readVaultStates = async (
+  provider,
+  addresses,
+  { multicallAddress = MULTICALL3_ADDRESS } = {}
+) => {
+  const batched =
+    addresses.length > 0 && (await isDeployed(provider, multicallAddress));
+  return withRetry(() =>
+    batched
+      ? readWithMulticall(provider, addresses, multicallAddress)
+      : readInParallel(provider, addresses)
+  );
+};
@@ -0,0 +1,144 @@
+// src/lib/preflight.js
+// Simulates every write against the latest block before it reaches the
+// wallet, so predictable reverts (still locked, not owner, amount above the
+// balance) never cost the user a signature prompt or gas.
+import { AbiCoder, Interface, dataSlice, isHexString } from "ethers";
+import abi from "../abi.json" with { type: "json" };
+
+const vaultInterface = new Interface(abi);
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+// Extra headroom on top of estimateGas, in percent.
+const GAS_LIMIT_BUFFER = 20n;
+
+export class SimulationError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = "SimulationError";
+    this.cause = cause;
+  }
+}
+
+// Wallets and RPCs bury revert data at different depths.
+const findRevertData = (err) => {
+  const candidates = [
+    err?.data,
+    err?.info?.error?.data,
+    err?.error?.data,
+    err?.error?.error?.data,
+    err?.data?.data,
+    err?.info?.error?.data?.data,
+  ];
+  return candidates.find((value) => isHexString(value) && value.length >= 10);
+};
+
+const decodeRevertData = (data) => {
+  const selector = dataSlice(data, 0, 4);
+  const coder = AbiCoder.defaultAbiCoder();
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    return coder.decode(["string"], dataSlice(data, 4))[0];
+  }
+  if (selector === PANIC_SELECTOR) {
+    const code = coder.decode(["uint256"], dataSlice(data, 4))[0];
+    return `Panic(0x${code.toString(16)})`;
+  }
+  try {
+    const parsed = vaultInterface.parseError(data);
+    if (parsed) {
+      const args = parsed.args.map(String).join(", ");
+      return `${parsed.name}(${args})`;
+    }
+  } catch {
+    // Unknown selector: fall through to the generic message.
+  }
+  return "";
+};
+
+// Raw revert reason (string or custom error signature), or "".
+export const getRevertReason = (err) => {
+  if (err?.revert?.name === "Error") return String(err.revert.args[0]);
+  if (err?.revert) {
+    return `${err.revert.name}(${err.revert.args.map(String).join(", ")})`;
+  }
+  const data = findRevertData(err);
+  if (data) {
+    const decoded = decodeRevertData(data);
+    if (decoded) return decoded;
+  }
+  return err?.reason || "";
+};
+
+// Turns a raw reason into something a user can act on.
+const friendlyReason = (reason, context = {}) => {
+  const text = reason.toLowerCase();
+  if (/owner/.test(text)) {
+    return "Only the vault owner can do this.";
+  }
+  if (/lock/.test(text) && /(still|not|until|yet|time)/.test(text)) {
+    const until = context.unlockTime
+      ? ` until ${new Date(context.unlockTime * 1000).toLocaleString()}`
+      : "";
+    return `The vault is still locked${until}.`;
+  }
+  if (/balance|insufficient|exceed/.test(text)) {
+    return "The amount is more than the vault balance.";
+  }
+  if (/extend|future|later|zero|> ?0/.test(text)) {
+    return `The contract rejected the new lock time (${reason}).`;
+  }
+  return reason;
+};
+
+export const describeRevert = (err, context) => {
+  const reason = getRevertReason(err);
+  if (reason) return friendlyReason(reason, context);
+  return err?.shortMessage || err?.message || "Unknown error";
+};
+
+const FEE_FIELDS = ["gasPrice", "maxFeePerGas", "maxPriorityFeePerGas"];
+
+// Fee fields are left out of the simulation: some nodes check them against
+// the sender's balance using the block gas limit and fail the call.
+const withoutFees = (overrides) =>
+  Object.fromEntries(
+    Object.entries(overrides).filter(([key]) => !FEE_FIELDS.includes(key))
+  );
+
+// Runs `method` as a staticCall and estimateGas against the latest block and
+// returns the gas limit to send it with. Throws SimulationError (with a
+// decoded reason) if the call would revert.
+export const simulateGasLimit = async (
+  contract,
+  method,
+  args = [],
+  overrides = {},
+  context = {}
+) => {
+  const fn = contract.getFunction(method);
+  const callOverrides = withoutFees(overrides);
+  try {
+    await fn.staticCall(...args, { ...callOverrides, blockTag: "latest" });
+    const estimate = await fn.estimateGas(...args, callOverrides);
+    return (estimate * (100n + GAS_LIMIT_BUFFER)) / 100n;
+  } catch (err) {
+    // Rejections and network failures are not reverts: let them through.
+    if (err?.code !== "CALL_EXCEPTION") throw err;
+    throw new SimulationError(describeRevert(err, context), err);
+  }
+};
+
+// Simulates `method`, then sends it with the estimated gas limit. Nothing is
+// sent if the simulation reverts.
+export const simulateAndSend = async (
+  contract,
+  method,
+  args = [],
+  overrides = {},
+  context = {}
+) => {
+  const gasLimit = await simulateGasLimit(contract, method, args, overrides, context);
+  return contract.getFunction(method).send(...args, { ...overrides, gasLimit });
+};
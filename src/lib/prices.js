@@ -0,0 +1,82 @@
+// src/lib/prices.js
+// ETH -> fiat prices behind one small interface, so the app doesn't care
+// where a price comes from:
+//
+//   { id, label, getPrice(currency) -> Promise<{ price, updatedAt }> }
+//
+// `price` is the value of 1 ETH in `currency`; `updatedAt` is Unix seconds
+// (0 when unknown).
+import { Contract, formatEther } from "ethers";
+
+export const CURRENCIES = ["USD", "EUR", "GBP", "JPY", "CHF"];
+
+const AGGREGATOR_ABI = [
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+/**
+ * Chainlink-style AggregatorV3 feeds read on-chain. `feeds` maps pairs to
+ * aggregator addresses, e.g. { "ETH/USD": "0x...", "EUR/USD": "0x..." }.
+ * A currency without a direct ETH feed is crossed through USD.
+ * @param {import("ethers").Provider} provider
+ * @param {Object<string, string>} feeds
+ */
+export const createChainlinkSource = (provider, feeds = {}) => {
+  const readFeed = async (pair) => {
+    const feed = new Contract(feeds[pair], AGGREGATOR_ABI, provider);
+    const [decimals, round] = await Promise.all([
+      feed.decimals(),
+      feed.latestRoundData(),
+    ]);
+    if (round.answer <= 0n) throw new Error(`The ${pair} feed has no price.`);
+    return {
+      price: Number(round.answer) / 10 ** Number(decimals),
+      updatedAt: Number(round.updatedAt),
+    };
+  };
+
+  return {
+    id: "chainlink",
+    label: "Chainlink",
+    async getPrice(currency) {
+      if (feeds[`ETH/${currency}`]) return readFeed(`ETH/${currency}`);
+      if (!feeds["ETH/USD"] || !feeds[`${currency}/USD`]) {
+        throw new Error(`No Chainlink feed for ETH/${currency} here.`);
+      }
+      const [eth, fiat] = await Promise.all([
+        readFeed("ETH/USD"),
+        readFeed(`${currency}/USD`),
+      ]);
+      return {
+        price: eth.price / fiat.price,
+        updatedAt: Math.min(eth.updatedAt, fiat.updatedAt),
+      };
+    },
+  };
+};
+
+/**
+ * Fixed prices, for testnets, local chains and tests: { USD: 2500, ... }.
+ * @param {Object<string, number>} prices
+ */
+export const createStaticSource = (prices = {}) => ({
+  id: "manual",
+  label: "Manual price",
+  async getPrice(currency) {
+    const price = Number(prices[currency]);
+    if (!(price > 0)) throw new Error(`Set a price for ${currency} first.`);
+    return { price, updatedAt: 0 };
+  },
+});
+
+/**
+ * Fiat value of `wei` at `price` per ETH, formatted for the user's locale.
+ * @param {bigint} wei
+ * @param {number} price
+ * @param {string} currency  ISO 4217 code
+ */
+export const formatFiat = (wei, price, currency) =>
+  new Intl.NumberFormat(undefined, { style: "currency", currency }).format(
+    Number(formatEther(wei)) * price
+  );
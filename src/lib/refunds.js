@@ -0,0 +1,230 @@
+// src/lib/refunds.js
+// Batch refunds: withdraw the total from the vault once, then send each
+// depositor their share with a plain transfer. A run is plain JSON and is
+// meant to be saved after every update, so it can be resumed after a reload
+// without paying anyone twice.
+import { ERROR_KINDS, classifyError } from "./errors.js";
+import { SimulationError } from "./preflight.js";
+import { toTrackedTransaction, watchTransaction } from "./transactions.js";
+
+/**
+ * @typedef {Object} RefundStep
+ * @property {string} key
+ * @property {"withdraw"|"transfer"} kind
+ * @property {string|null} to      Recipient (transfers only)
+ * @property {string} amount       wei as a decimal string
+ * @property {"pending"|"sending"|"sent"|"done"|"failed"|"check"} status
+ *   "sending": handed to the wallet, hash not known yet.
+ *   "check": can't tell whether it went through; the owner has to decide.
+ * @property {import("./transactions.js").TrackedTransaction|null} tx
+ * @property {string|null} hash    Hash of the transaction that settled it
+ * @property {number|null} nonceBefore  Owner's pending nonce before sending
+ * @property {string} error
+ */
+
+/**
+ * @typedef {Object} RefundRun
+ * @property {string} id
+ * @property {string} chainId
+ * @property {string} vault
+ * @property {string} owner
+ * @property {number} createdAt  Unix ms
+ * @property {RefundStep[]} steps
+ */
+
+const newStep = (kind, to, amount) => ({
+  key: kind === "withdraw" ? "withdraw" : `transfer:${to.toLowerCase()}`,
+  kind,
+  to,
+  amount: amount.toString(),
+  status: "pending",
+  tx: null,
+  hash: null,
+  nonceBefore: null,
+  error: "",
+});
+
+/**
+ * @param {{chainId: string, vault: string, owner: string, recipients: {to: string, amount: bigint}[], withdrawFirst: boolean}} options
+ * @returns {RefundRun}
+ */
+export const createRefundRun = ({
+  chainId,
+  vault,
+  owner,
+  recipients,
+  withdrawFirst,
+}) => {
+  const total = recipients.reduce((sum, r) => sum + r.amount, 0n);
+  const transfers = recipients.map((r) => newStep("transfer", r.to, r.amount));
+  return {
+    id: `refund-${Date.now()}`,
+    chainId,
+    vault,
+    owner,
+    createdAt: Date.now(),
+    steps: withdrawFirst
+      ? [newStep("withdraw", null, total), ...transfers]
+      : transfers,
+  };
+};
+
+export const refundRunTotal = (run) =>
+  run.steps
+    .filter((step) => step.kind === "transfer")
+    .reduce((sum, step) => sum + BigInt(step.amount), 0n);
+
+export const isRunFinished = (run) =>
+  run.steps.every((step) => step.status === "done");
+
+export const updateStep = (run, key, patch) => ({
+  ...run,
+  steps: run.steps.map((step) =>
+    step.key === key ? { ...step, ...patch } : step
+  ),
+});
+
+// Turns watchTransaction's outcome into the step's new state.
+const settledPatch = (step, outcome) => {
+  switch (outcome.status) {
+    case "confirmed":
+      return { status: "done", hash: step.tx.hash, error: "" };
+    case "sped-up":
+      return { status: "done", hash: outcome.replacedBy, error: "" };
+    case "failed":
+      return { status: "failed", error: "The transaction reverted." };
+    case "cancelled":
+    case "dropped":
+      return {
+        status: "failed",
+        error: `The transaction was ${outcome.status}.`,
+      };
+    default:
+      return {
+        status: "check",
+        error:
+          "Another transaction took this one's place. Check the owner's account before sending again.",
+      };
+  }
+};
+
+// Turns an error from sending a step into the step's new state. Only a
+// rejection in the wallet or a failed simulation proves nothing was sent; a
+// timeout or network error can arrive after the wallet broadcast the
+// transaction, so then the owner's nonce decides, as in reconcileRefundRun.
+const sendErrorPatch = async (err, provider, owner, nonceBefore) => {
+  const { kind, message } = classifyError(err);
+  if (err instanceof SimulationError || kind === ERROR_KINDS.REJECTED) {
+    return { status: "failed", error: message };
+  }
+  try {
+    const nonce = await provider.getTransactionCount(owner, "pending");
+    if (nonce <= nonceBefore) return { status: "failed", error: message };
+  } catch (nonceErr) {
+    console.warn("Could not read the owner's nonce", nonceErr);
+  }
+  return {
+    status: "check",
+    error: `${message} The transaction may have been sent anyway. Check the owner's account before sending again.`,
+  };
+};
+
+/**
+ * Works out what happened to steps that were in flight when the page was
+ * closed. "sent" steps are followed to the end; a "sending" step is only
+ * reset if the owner's nonce shows that nothing was sent since.
+ * @returns {Promise<RefundRun>}
+ */
+export const reconcileRefundRun = async (run, provider) => {
+  let next = run;
+  for (const step of run.steps) {
+    if (step.status === "sent") {
+      const outcome = await watchTransaction(provider, step.tx);
+      next = updateStep(next, step.key, settledPatch(step, outcome));
+    } else if (step.status === "sending") {
+      const nonce = await provider.getTransactionCount(run.owner, "pending");
+      next = updateStep(
+        next,
+        step.key,
+        nonce > step.nonceBefore
+          ? {
+              status: "check",
+              error:
+                "The page closed while this was waiting for the wallet, and the owner has sent a transaction since. Check it before sending again.",
+            }
+          : { status: "pending", error: "" }
+      );
+    }
+  }
+  return next;
+};
+
+/**
+ * Runs every pending or failed step in order and stops at the first one
+ * that doesn't complete. `onUpdate` gets the run after every change and
+ * should persist it; `onSent` gets each transaction as it is broadcast.
+ * @param {RefundRun} run
+ * @param {{client: import("./TimeLockedWalletClient.js").TimeLockedWalletClient, signer: import("ethers").Signer, overrides?: object, onUpdate: (run: RefundRun) => void, onSent?: (tx: object, step: RefundStep) => void}} options
+ *   `client` must be connected to `signer`.
+ * @returns {Promise<RefundRun>}
+ */
+export const executeRefundRun = async (
+  run,
+  { client, signer, overrides = {}, onUpdate, onSent }
+) => {
+  const provider = signer.provider;
+  let current = run;
+  const update = (key, patch) => {
+    current = updateStep(current, key, patch);
+    onUpdate(current);
+  };
+
+  for (const step of run.steps) {
+    if (step.status === "done") continue;
+    if (step.status !== "pending" && step.status !== "failed") break;
+
+    const amount = BigInt(step.amount);
+    const nonceBefore = await provider.getTransactionCount(
+      run.owner,
+      "pending"
+    );
+    update(step.key, { status: "sending", error: "", nonceBefore });
+
+    let tx;
+    try {
+      tx =
+        step.kind === "withdraw"
+          ? await client.withdraw(amount, overrides)
+          : await signer.sendTransaction({
+              to: step.to,
+              value: amount,
+              ...overrides,
+            });
+    } catch (err) {
+      update(
+        step.key,
+        await sendErrorPatch(err, provider, run.owner, nonceBefore)
+      );
+      break;
+    }
+
+    // The transaction is already out: save its hash before any network
+    // call. watchTransaction reads the block number itself when it's null.
+    const record = toTrackedTransaction(tx, {
+      chainId: run.chainId,
+      kind: step.kind === "withdraw" ? "withdraw" : "refund",
+      label:
+        step.kind === "withdraw"
+          ? "Withdraw for refunds"
+          : `Refund to ${step.to}`,
+      startBlock: null,
+    });
+    update(step.key, { status: "sent", tx: record });
+    onSent?.(tx, step);
+
+    const outcome = await watchTransaction(provider, record);
+    update(step.key, settledPatch({ ...step, tx: record }, outcome));
+    if (current.steps.find((s) => s.key === step.key).status !== "done") break;
+  }
+  return current;
+};
@@ -0,0 +1,314 @@
+// src/lib/rpc.js
+// Read provider over several JSON-RPC endpoints. Requests go to the
+// healthiest endpoint and move on to the next one when it is unreachable,
+// rate-limited or times out (fallback), or go to several at once and need
+// `quorum` matching answers. On top of that, calls made at the same time
+// are deduplicated and view results are cached per block.
+import {
+  AbstractProvider,
+  JsonRpcProvider,
+  Network,
+  isHexString,
+  makeError,
+} from "ethers";
+import { isTransientError } from "./errors.js";
+
+// An endpoint that failed is tried last for this long.
+const COOLDOWN_MS = 30_000;
+// Results for explicit block numbers never change; keep this many.
+const MAX_CACHED = 500;
+const HEALTH_THROTTLE_MS = 5_000;
+
+// Methods whose result only depends on their arguments and the block.
+const CACHEABLE = new Set([
+  "call",
+  "getBalance",
+  "getCode",
+  "getStorage",
+  "getTransactionCount",
+]);
+
+const requestKey = (req) =>
+  JSON.stringify(req, (_, value) =>
+    typeof value === "bigint" ? `${value}n` : value
+  );
+
+/**
+ * @typedef {Object} EndpointHealth
+ * @property {string} url
+ * @property {boolean} ok          Last request succeeded (or none made yet)
+ * @property {number} requests
+ * @property {number} failures
+ * @property {number|null} latencyMs  Of the last successful request
+ * @property {string} lastError
+ */
+
+/**
+ * @typedef {Object} RpcHealth
+ * @property {"ok"|"degraded"|"down"|"unknown"} status
+ *   "degraded": answering, but some endpoints are failing.
+ * @property {"fallback"|"quorum"} mode
+ * @property {number} quorum
+ * @property {EndpointHealth[]} endpoints
+ */
+
+export class ResilientProvider extends AbstractProvider {
+  #network;
+  #endpoints;
+  #quorum;
+  #inflight = new Map();
+  #cache = new Map();
+  #latest = { head: -1, checkedAt: 0, results: new Map() };
+  #listeners = new Set();
+  #health;
+  #notifiedAt = 0;
+
+  /**
+   * @param {string[]} urls  In order of preference
+   * @param {number|bigint|string} chainId
+   * @param {{quorum?: number, pollingInterval?: number}} [options]
+   *   `quorum` > 1 asks that many endpoints and needs them to agree.
+   */
+  constructor(urls, chainId, { quorum = 1, pollingInterval } = {}) {
+    const network = Network.from(BigInt(chainId));
+    super(network, pollingInterval ? { pollingInterval } : undefined);
+    if (urls.length === 0) throw new Error("No RPC URL configured.");
+    this.#network = network;
+    this.#quorum = Math.min(Math.max(1, quorum), urls.length);
+    this.#endpoints = urls.map((url, index) => ({
+      url,
+      index,
+      provider: new JsonRpcProvider(url, network, { staticNetwork: network }),
+      requests: 0,
+      failures: 0,
+      latencyMs: null,
+      lastError: "",
+      failedAt: 0,
+    }));
+    this.#health = this.#snapshot();
+  }
+
+  async _detectNetwork() {
+    return this.#network;
+  }
+
+  /** @returns {RpcHealth} The same object until something changes. */
+  getHealth() {
+    return this.#health;
+  }
+
+  /** @returns {() => void} unsubscribe */
+  onHealthChange(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  /**
+   * Raw JSON-RPC for methods ethers has no call for (eth_feeHistory), as
+   * JsonRpcProvider offers. Concurrent identical calls are shared, but the
+   * answer is neither cached nor put to a quorum: these are fee and status
+   * queries whose exact value differs from node to node anyway.
+   * @param {string} method
+   * @param {Array} params
+   */
+  async send(method, params = []) {
+    const req = { method: "send", rpcMethod: method, params };
+    const key = requestKey(req);
+    if (this.#inflight.has(key)) return this.#inflight.get(key);
+    const pending = this.#performFallback(req).finally(() =>
+      this.#inflight.delete(key)
+    );
+    this.#inflight.set(key, pending);
+    return pending;
+  }
+
+  destroy() {
+    for (const endpoint of this.#endpoints) endpoint.provider.destroy();
+    super.destroy();
+  }
+
+  async _perform(req) {
+    const key = requestKey(req);
+    const cacheable = CACHEABLE.has(req.method);
+    const tag = req.blockTag;
+
+    if (cacheable && isHexString(tag) && this.#cache.has(key)) {
+      return this.#cache.get(key);
+    }
+    if (cacheable && tag === "latest" && this.#latestFresh()) {
+      if (this.#latest.results.has(key)) return this.#latest.results.get(key);
+    }
+    if (this.#inflight.has(key)) return this.#inflight.get(key);
+
+    const head = this.#latest.head;
+    const pending = (
+      this.#quorum > 1 ? this.#performQuorum(req) : this.#performFallback(req)
+    )
+      .then((result) => {
+        if (req.method === "getBlockNumber") this.#setHead(Number(result));
+        if (cacheable && isHexString(tag)) this.#remember(key, result);
+        // Only if no new block arrived while it was in flight.
+        if (cacheable && tag === "latest" && this.#latestFresh()) {
+          if (head === this.#latest.head) this.#latest.results.set(key, result);
+        }
+        return result;
+      })
+      .finally(() => this.#inflight.delete(key));
+    this.#inflight.set(key, pending);
+    return pending;
+  }
+
+  // "latest" results are kept while the head is known to be current, i.e.
+  // it was confirmed within one polling interval; without block polling
+  // (no listeners) they expire instead of going stale.
+  #setHead(blockNumber) {
+    const checkedAt = Date.now();
+    if (blockNumber === this.#latest.head) this.#latest.checkedAt = checkedAt;
+    else this.#latest = { head: blockNumber, checkedAt, results: new Map() };
+  }
+
+  #latestFresh() {
+    return (
+      this.#latest.head >= 0 &&
+      Date.now() - this.#latest.checkedAt < this.pollingInterval
+    );
+  }
+
+  #remember(key, result) {
+    if (this.#cache.size >= MAX_CACHED) {
+      this.#cache.delete(this.#cache.keys().next().value);
+    }
+    this.#cache.set(key, result);
+  }
+
+  // Healthy endpoints first, in configured order; failing ones last.
+  #ordered() {
+    const now = Date.now();
+    const cooling = (e) => (now - e.failedAt < COOLDOWN_MS ? 1 : 0);
+    return [...this.#endpoints].sort(
+      (a, b) => cooling(a) - cooling(b) || a.index - b.index
+    );
+  }
+
+  async #send(endpoint, req) {
+    const started = Date.now();
+    endpoint.requests += 1;
+    try {
+      const result =
+        req.method === "send"
+          ? await endpoint.provider.send(req.rpcMethod, req.params)
+          : await endpoint.provider._perform(req);
+      endpoint.latencyMs = Date.now() - started;
+      if (endpoint.lastError) {
+        endpoint.lastError = "";
+        endpoint.failedAt = 0;
+      }
+      this.#changed();
+      return result;
+    } catch (err) {
+      // A revert is a valid answer from a healthy node.
+      if (isTransientError(err)) {
+        endpoint.failures += 1;
+        endpoint.failedAt = Date.now();
+        endpoint.lastError = err?.shortMessage || err?.message || String(err);
+        this.#changed();
+      }
+      throw err;
+    }
+  }
+
+  async #performFallback(req) {
+    let lastError;
+    for (const endpoint of this.#ordered()) {
+      try {
+        return await this.#send(endpoint, req);
+      } catch (err) {
+        if (!isTransientError(err)) throw err;
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  // Asks every endpoint and needs `quorum` matching answers (a revert
+  // counts as an answer). Block numbers rarely match exactly, so the highest
+  // one that `quorum` endpoints have reached is used instead.
+  async #performQuorum(req) {
+    const endpoints = this.#ordered();
+    const answers = await Promise.all(
+      endpoints.map((endpoint) =>
+        this.#send(endpoint, req).then(
+          (result) => ({ result }),
+          (error) => ({ error })
+        )
+      )
+    );
+    const results = answers.filter((a) => !("error" in a));
+
+    if (req.method === "getBlockNumber" && results.length >= this.#quorum) {
+      const heights = results
+        .map((a) => Number(a.result))
+        .sort((x, y) => y - x);
+      return heights[this.#quorum - 1];
+    }
+
+    const votes = new Map();
+    for (const answer of answers) {
+      if ("error" in answer && isTransientError(answer.error)) continue;
+      const vote = requestKey("error" in answer ? answer.error.code : answer);
+      const tally = votes.get(vote) || { count: 0, answer };
+      tally.count += 1;
+      votes.set(vote, tally);
+      if (tally.count >= this.#quorum) {
+        if ("error" in tally.answer) throw tally.answer.error;
+        return tally.answer.result;
+      }
+    }
+    const failed = answers.find((a) => "error" in a);
+    if (results.length < this.#quorum && failed) throw failed.error;
+    throw makeError("RPC endpoints disagree", "SERVER_ERROR", {
+      request: req,
+      info: { quorum: this.#quorum, answers: answers.length },
+    });
+  }
+
+  #snapshot() {
+    const endpoints = this.#endpoints.map((e) => ({
+      url: e.url,
+      ok: !e.lastError,
+      requests: e.requests,
+      failures: e.failures,
+      latencyMs: e.latencyMs,
+      lastError: e.lastError,
+    }));
+    const working = endpoints.filter((e) => e.ok && e.requests > 0).length;
+    const failing = endpoints.filter((e) => !e.ok).length;
+    let status = "unknown";
+    if (working >= this.#quorum) status = failing > 0 ? "degraded" : "ok";
+    else if (failing > 0) status = "down";
+    return {
+      status,
+      mode: this.#quorum > 1 ? "quorum" : "fallback",
+      quorum: this.#quorum,
+      endpoints,
+    };
+  }
+
+  // Listeners hear about status changes at once; latency and counters are
+  // refreshed at most every HEALTH_THROTTLE_MS so renders stay cheap.
+  #changed() {
+    const next = this.#snapshot();
+    const signature = (h) =>
+      JSON.stringify([h.status, h.endpoints.map((e) => e.lastError)]);
+    const now = Date.now();
+    if (
+      signature(next) === signature(this.#health) &&
+      now - this.#notifiedAt < HEALTH_THROTTLE_MS
+    ) {
+      return;
+    }
+    this.#health = next;
+    this.#notifiedAt = now;
+    for (const listener of this.#listeners) listener(next);
+  }
+}
@@ -0,0 +1,144 @@
+// src/lib/statement.js
+// Accounting statement of the vault: every Deposited / Withdrawn /
+// LockExtended event with the gas its transaction paid and the vault's
+// balance after it, exportable as CSV or JSON.
+import { formatEther } from "ethers";
+
+const RECEIPT_CONCURRENCY = 5;
+
+/**
+ * @typedef {Object} StatementRow
+ * @property {number} timestamp      Unix seconds (block time)
+ * @property {string} date           ISO 8601, UTC
+ * @property {string} type           Deposited | Withdrawn | LockExtended
+ * @property {number} block
+ * @property {string} txHash
+ * @property {string} actor
+ * @property {string} amountWei
+ * @property {string} amountEth
+ * @property {string} gasPaidWei     Transaction fee, paid by `actor`'s tx
+ * @property {string} gasPaidEth
+ * @property {string} balanceWei     Vault balance after this event
+ * @property {string} balanceEth
+ * @property {number|null} newUnlockTime  LockExtended only
+ */
+
+/**
+ * Receipts for `hashes`, a few at a time so public RPCs don't rate-limit.
+ * @returns {Promise<Map<string, import("ethers").TransactionReceipt|null>>}
+ */
+export const fetchReceipts = async (provider, hashes) => {
+  const unique = [...new Set(hashes)];
+  const receipts = new Map();
+  for (let i = 0; i < unique.length; i += RECEIPT_CONCURRENCY) {
+    const batch = unique.slice(i, i + RECEIPT_CONCURRENCY);
+    const results = await Promise.all(
+      batch.map((hash) => provider.getTransactionReceipt(hash))
+    );
+    batch.forEach((hash, j) => receipts.set(hash, results[j]));
+  }
+  return receipts;
+};
+
+const signedAmount = (entry) => {
+  if (entry.type === "Deposited") return entry.amount;
+  if (entry.type === "Withdrawn") return -entry.amount;
+  return 0n;
+};
+
+/**
+ * Whether an entry (or row) falls inside the filters. `from` / `to` are
+ * inclusive Unix seconds; `address` is the actor.
+ * @param {{timestamp: number, actor: string}} item
+ * @param {{from?: number, to?: number, address?: string}} filters
+ */
+export const matchesFilters = (item, { from, to, address } = {}) =>
+  (from == null || item.timestamp >= from) &&
+  (to == null || item.timestamp <= to) &&
+  (!address || item.actor.toLowerCase() === address.toLowerCase());
+
+/**
+ * Builds the statement from the vault's full history (getHistory from the
+ * deploy block, oldest first); the running balance is only right if nothing
+ * is missing from the start. Filters apply afterwards, so balances stay
+ * those of the whole vault.
+ * @param {import("./TimeLockedWalletClient.js").ActivityEntry[]} entries
+ * @param {Map<string, import("ethers").TransactionReceipt|null>} receipts
+ *   Only needed for the rows that pass the filters.
+ * @param {{from?: number, to?: number, address?: string}} [filters]
+ * @returns {StatementRow[]}
+ */
+export const buildStatement = (entries, receipts, filters = {}) => {
+  const seenTx = new Set();
+  let balance = 0n;
+
+  const rows = entries.map((entry) => {
+    balance += signedAmount(entry);
+    // A transaction's fee is counted once, on its first event.
+    const receipt = receipts.get(entry.txHash);
+    const gasPaid =
+      receipt && !seenTx.has(entry.txHash)
+        ? receipt.gasUsed * receipt.gasPrice
+        : 0n;
+    seenTx.add(entry.txHash);
+    const amount = entry.amount ?? 0n;
+
+    return {
+      timestamp: entry.timestamp,
+      date: entry.timestamp
+        ? new Date(entry.timestamp * 1000).toISOString()
+        : "",
+      type: entry.type,
+      block: entry.blockNumber,
+      txHash: entry.txHash,
+      actor: entry.actor,
+      amountWei: amount.toString(),
+      amountEth: formatEther(amount),
+      gasPaidWei: gasPaid.toString(),
+      gasPaidEth: formatEther(gasPaid),
+      balanceWei: balance.toString(),
+      balanceEth: formatEther(balance),
+      newUnlockTime: entry.type === "LockExtended" ? entry.newUnlockTime : null,
+    };
+  });
+
+  return rows.filter((row) => matchesFilters(row, filters));
+};
+
+const CSV_COLUMNS = [
+  "date",
+  "timestamp",
+  "type",
+  "block",
+  "txHash",
+  "actor",
+  "amountWei",
+  "amountEth",
+  "gasPaidWei",
+  "gasPaidEth",
+  "balanceWei",
+  "balanceEth",
+  "newUnlockTime",
+];
+
+const csvField = (value) => {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** @param {StatementRow[]} rows */
+export const statementToCsv = (rows) =>
+  [CSV_COLUMNS, ...rows.map((row) => CSV_COLUMNS.map((c) => row[c]))]
+    .map((fields) => fields.map(csvField).join(","))
+    .join("\r\n") + "\r\n";
+
+/**
+ * @param {StatementRow[]} rows
+ * @param {{chainId: string, vault: string, filters?: object}} meta
+ */
+export const statementToJson = (rows, meta) =>
+  JSON.stringify(
+    { ...meta, generatedAt: new Date().toISOString(), rows },
+    null,
+    2
+  );
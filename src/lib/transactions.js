@@ -0,0 +1,165 @@
+// src/lib/transactions.js
+// Follows a submitted transaction until its nonce slot is settled: mined as
+// sent, sped up, cancelled or replaced by some other transaction. Records are
+// plain JSON (bigints as strings) so they can be persisted and resumed after
+// a reload.
+
+// Nodes reject a replacement unless both fees go up by at least 10%.
+const REPLACEMENT_BUMP_PERCENT = 125n;
+// How long to keep polling a hash the node has never heard of before
+// calling it dropped.
+const UNKNOWN_TX_POLL_MS = 5000;
+const UNKNOWN_TX_MAX_POLLS = 60;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const toStringOrNull = (value) =>
+  value === null || value === undefined ? null : value.toString();
+
+/**
+ * @typedef {Object} TrackedTransaction
+ * @property {string} hash
+ * @property {string} chainId   hex chain id
+ * @property {string} kind      "deposit" | "withdraw" | "extendLock" | "refund" | "cancel"
+ * @property {string} label     Human readable action, e.g. "Deposit 0.1 ETH"
+ * @property {string} from
+ * @property {number} nonce
+ * @property {string} to
+ * @property {string} data
+ * @property {string} value     wei
+ * @property {string|null} gasLimit
+ * @property {string|null} gasPrice
+ * @property {string|null} maxFeePerGas
+ * @property {string|null} maxPriorityFeePerGas
+ * @property {number|null} startBlock  Block number when it was sent (null
+ *   if that lookup failed; the watcher then uses the block it starts at)
+ * @property {number} submittedAt Unix ms
+ * @property {"pending"|"confirmed"|"failed"|"sped-up"|"cancelled"|"replaced"|"dropped"} status
+ * @property {string} [replacedBy]
+ * @property {number} [blockNumber]
+ */
+
+/** @returns {TrackedTransaction} */
+export const toTrackedTransaction = (tx, { chainId, kind, label, startBlock }) => ({
+  hash: tx.hash,
+  chainId,
+  kind,
+  label,
+  from: tx.from,
+  nonce: tx.nonce,
+  to: tx.to,
+  data: tx.data,
+  value: toStringOrNull(tx.value) || "0",
+  gasLimit: toStringOrNull(tx.gasLimit),
+  gasPrice: toStringOrNull(tx.gasPrice),
+  maxFeePerGas: toStringOrNull(tx.maxFeePerGas),
+  maxPriorityFeePerGas: toStringOrNull(tx.maxPriorityFeePerGas),
+  startBlock,
+  submittedAt: Date.now(),
+  status: "pending",
+});
+
+const receiptOutcome = (receipt) => ({
+  status: receipt.status === 1 ? "confirmed" : "failed",
+  blockNumber: receipt.blockNumber,
+});
+
+/**
+ * Resolves with the fields to merge into `record` once its nonce is used.
+ * @param {import("ethers").Provider} provider
+ * @param {TrackedTransaction} record
+ */
+export const watchTransaction = async (provider, record) => {
+  for (let polls = 0; polls < UNKNOWN_TX_MAX_POLLS; polls += 1) {
+    const receipt = await provider.getTransactionReceipt(record.hash);
+    if (receipt) return receiptOutcome(receipt);
+
+    const tx = await provider.getTransaction(record.hash);
+    if (tx) {
+      try {
+        const startBlock =
+          record.startBlock ?? (await provider.getBlockNumber());
+        const mined = await tx.replaceableTransaction(startBlock).wait();
+        return receiptOutcome(mined);
+      } catch (err) {
+        if (err?.code === "CALL_EXCEPTION" && err.receipt) {
+          return receiptOutcome(err.receipt);
+        }
+        if (err?.code !== "TRANSACTION_REPLACED") throw err;
+        const replacedStatus =
+          err.reason === "repriced" && err.receipt?.status === 1
+            ? "sped-up"
+            : err.cancelled
+              ? "cancelled"
+              : "replaced";
+        return {
+          status: replacedStatus,
+          replacedBy: err.replacement?.hash || "",
+          blockNumber: err.receipt?.blockNumber,
+        };
+      }
+    }
+
+    // Unknown hash: if the nonce is already used, something else took it.
+    const used = await provider.getTransactionCount(record.from, "latest");
+    if (used > record.nonce) return { status: "replaced", replacedBy: "" };
+    await sleep(UNKNOWN_TX_POLL_MS);
+  }
+  return { status: "dropped" };
+};
+
+const bump = (previous, current) => {
+  const bumped = (BigInt(previous) * REPLACEMENT_BUMP_PERCENT) / 100n;
+  return current && current > bumped ? current : bumped;
+};
+
+// Fees for a replacement: 25% above the original, or the current network
+// fee if that is higher.
+const replacementFees = async (provider, record) => {
+  const feeData = await provider.getFeeData();
+  if (record.maxFeePerGas) {
+    return {
+      maxFeePerGas: bump(record.maxFeePerGas, feeData.maxFeePerGas),
+      maxPriorityFeePerGas: bump(
+        record.maxPriorityFeePerGas || "0",
+        feeData.maxPriorityFeePerGas
+      ),
+    };
+  }
+  return { gasPrice: bump(record.gasPrice || "0", feeData.gasPrice) };
+};
+
+/**
+ * Re-sends the same call with the same nonce and higher fees.
+ * @param {import("ethers").Signer} signer
+ * @param {TrackedTransaction} record
+ */
+export const speedUpTransaction = async (signer, record) => {
+  const fees = await replacementFees(signer.provider, record);
+  return signer.sendTransaction({
+    to: record.to,
+    data: record.data,
+    value: BigInt(record.value),
+    nonce: record.nonce,
+    gasLimit: record.gasLimit ? BigInt(record.gasLimit) : undefined,
+    ...fees,
+  });
+};
+
+/**
+ * Takes the nonce with an empty 0 ETH self-transfer so the original can
+ * never be mined.
+ * @param {import("ethers").Signer} signer
+ * @param {TrackedTransaction} record
+ */
+export const cancelTransaction = async (signer, record) => {
+  const fees = await replacementFees(signer.provider, record);
+  return signer.sendTransaction({
+    to: record.from,
+    data: "0x",
+    value: 0n,
+    nonce: record.nonce,
+    gasLimit: 21000n,
+    ...fees,
+  });
+};
@@ -0,0 +1,140 @@
+// src/lib/verify.js
+// Checks that an address really holds a MetaLocked vault before money is sent
+// to it: the runtime bytecode must exist, hash to a known-good build and
+// dispatch every function in abi.json that the app relies on. Known builds
+// are listed in src/vaultBytecode.json (`runtimeCodeHashes`); get a deployed
+// vault's hash with `metalocked verify`.
+import { Interface, getBytes, hexlify, keccak256 } from "ethers";
+import abi from "../abi.json" with { type: "json" };
+import artifact from "../vaultBytecode.json" with { type: "json" };
+
+const vaultInterface = new Interface(abi);
+
+export const REQUIRED_FUNCTIONS = [
+  "deposit",
+  "withdraw",
+  "extendLock",
+  "getBalance",
+  "unlockTime",
+  "owner",
+];
+
+const PUSH1 = 0x60;
+const PUSH4 = 0x63;
+const PUSH32 = 0x7f;
+
+/**
+ * Every value of up to four bytes pushed by `code`, as a 0x-prefixed
+ * selector. Solidity's dispatcher compares calldata against PUSH4 constants
+ * (shorter pushes when a selector starts with zero bytes). Push data is
+ * skipped, so bytes inside other constants are not mistaken for opcodes.
+ * @param {string} code  Runtime bytecode
+ * @returns {Set<string>}
+ */
+export const findSelectors = (code) => {
+  const bytes = getBytes(code);
+  const selectors = new Set();
+  for (let i = 0; i < bytes.length; i += 1) {
+    const op = bytes[i];
+    if (op < PUSH1 || op > PUSH32) continue;
+    const size = op - PUSH1 + 1;
+    if (op <= PUSH4) {
+      const value = hexlify(bytes.slice(i + 1, i + 1 + size)).slice(2);
+      selectors.add(`0x${value.padStart(8, "0")}`);
+    }
+    i += size;
+  }
+  return selectors;
+};
+
+/**
+ * @typedef {Object} VerificationCheck
+ * @property {string} label
+ * @property {boolean|null} ok  null: could not be checked
+ * @property {string} detail
+ */
+
+/**
+ * @typedef {Object} VaultVerification
+ * @property {"verified"|"unverified"|"failed"} status
+ *   "verified": the code hash is a known build. "unverified": the functions
+ *   are all there but no known hashes are configured to compare against.
+ *   "failed": no code, missing functions or an unknown build. Only
+ *   "verified" code should receive funds.
+ * @property {string} codeHash  keccak256 of the runtime code ("" if none)
+ * @property {string[]} missing  Required functions not found in the code
+ * @property {VerificationCheck[]} checks
+ */
+
+/**
+ * @param {import("ethers").Provider} provider
+ * @param {string} address
+ * @param {{knownHashes?: string[]}} [options]  Defaults to the
+ *   `runtimeCodeHashes` listed in src/vaultBytecode.json.
+ * @returns {Promise<VaultVerification>}
+ */
+export const verifyVaultCode = async (
+  provider,
+  address,
+  { knownHashes = artifact.runtimeCodeHashes || [] } = {}
+) => {
+  const code = await provider.getCode(address);
+  if (!code || code === "0x") {
+    return {
+      status: "failed",
+      codeHash: "",
+      missing: [...REQUIRED_FUNCTIONS],
+      checks: [
+        {
+          label: "Contract code",
+          ok: false,
+          detail:
+            "There is no contract at this address on this network (wrong address or wrong network).",
+        },
+      ],
+    };
+  }
+
+  const codeHash = keccak256(code);
+  const known = knownHashes.map((h) => h.toLowerCase());
+  const hashMatches = known.includes(codeHash);
+  const selectors = findSelectors(code);
+  const missing = REQUIRED_FUNCTIONS.filter(
+    (name) => !selectors.has(vaultInterface.getFunction(name).selector)
+  );
+
+  const checks = [
+    {
+      label: "Contract code",
+      ok: true,
+      detail: `${getBytes(code).length} bytes deployed.`,
+    },
+    {
+      label: "Code hash",
+      ok: known.length === 0 ? null : hashMatches,
+      detail:
+        known.length === 0
+          ? `${codeHash} (no known-good hashes configured to compare with).`
+          : hashMatches
+            ? `${codeHash} matches a known MetaLocked build.`
+            : `${codeHash} does not match any known MetaLocked build.`,
+    },
+    {
+      label: "Functions",
+      ok: missing.length === 0,
+      detail:
+        missing.length === 0
+          ? `${REQUIRED_FUNCTIONS.join(", ")} all present.`
+          : `Missing: ${missing.join(", ")}.`,
+    },
+  ];
+
+  // A known build is trusted as is; otherwise every function must be there.
+  const failed = !hashMatches && (missing.length > 0 || known.length > 0);
+  return {
+    status: failed ? "failed" : hashMatches ? "verified" : "unverified",
+    codeHash,
+    missing,
+    checks,
+  };
+};
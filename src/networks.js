@@ -0,0 +1,124 @@
+// src/networks.js
+// Registry of supported networks and the vault deployed on each one.
+//
+// Defaults come from networks.json. A page URL can override them:
+//   ?chain=holesky            network to show before a wallet is connected
+//   ?vault=0x1234...          vault address on that network
+//   ?vault.local=0x1234...    vault address on a specific network (by key)
+//   ?rpc=https://...          JSON-RPC endpoint used for reads on that network
+//
+// `deployBlock` is where history scans start; 0 means unknown, and the
+// client then finds it from the vault's code (lib/history.js).
+// `rpcUrls` are tried in order; `rpcQuorum` (optional, default 1) makes
+// reads ask that many of them and require matching answers.
+// `priceFeeds` (optional) maps pairs such as "ETH/USD" to Chainlink
+// aggregator addresses on that network, for fiat values.
+import { isAddress, getAddress } from "ethers";
+import config from "./networks.json";
+import { ResilientProvider } from "./lib/rpc";
+
+export const normalizeChainId = (chainId) => {
+  if (chainId === undefined || chainId === null || chainId === "") return "";
+  return `0x${BigInt(chainId).toString(16)}`;
+};
+
+const matchesNetwork = (network, keyOrId) => {
+  if (!keyOrId) return false;
+  if (network.key === String(keyOrId).toLowerCase()) return true;
+  try {
+    return network.chainId === normalizeChainId(keyOrId);
+  } catch {
+    return false;
+  }
+};
+
+const readAddress = (value) => (value && isAddress(value) ? getAddress(value) : "");
+
+export const loadNetworkRegistry = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+
+  const networks = config.networks.map((network) => ({
+    ...network,
+    chainId: normalizeChainId(network.chainId),
+    vaultAddress: readAddress(network.vaultAddress),
+  }));
+
+  const requested = networks.find((n) => matchesNetwork(n, params.get("chain")));
+  const defaultChainId =
+    requested?.chainId || normalizeChainId(config.defaultChainId);
+
+  for (const network of networks) {
+    const override = readAddress(params.get(`vault.${network.key}`));
+    if (override) network.vaultAddress = override;
+  }
+
+  const target = networks.find((n) => n.chainId === defaultChainId);
+  const vaultOverride = readAddress(params.get("vault"));
+  if (target && vaultOverride) target.vaultAddress = vaultOverride;
+
+  const rpcOverride = params.get("rpc");
+  if (target && rpcOverride) target.rpcUrls = [rpcOverride, ...target.rpcUrls];
+
+  return { networks, defaultChainId };
+};
+
+export const findNetwork = (registry, chainId) => {
+  if (!chainId) return null;
+  const id = normalizeChainId(chainId);
+  return registry.networks.find((n) => n.chainId === id) || null;
+};
+
+const readProviders = new Map();
+
+// A wallet-independent provider for view calls and logs, so the vault can be
+// watched without connecting. Reads use every URL in `rpcUrls` (see
+// lib/rpc.js). Cached per chain to keep one instance (and one polling loop)
+// per network. Returns null when no RPC URL is configured.
+export const getReadProvider = (network) => {
+  if (!network?.rpcUrls?.length) return null;
+  if (!readProviders.has(network.chainId)) {
+    readProviders.set(
+      network.chainId,
+      // Contract events are polled with eth_getLogs rather than
+      // eth_newFilter, whose state public endpoints tend to drop.
+      new ResilientProvider(network.rpcUrls, network.chainId, {
+        quorum: network.rpcQuorum || 1,
+      })
+    );
+  }
+  return readProviders.get(network.chainId);
+};
+
+// Returns "" when the network has no block explorer (e.g. a local node).
+export const explorerLink = (network, kind, value) =>
+  network?.explorerUrl && value ? `${network.explorerUrl}/${kind}/${value}` : "";
+
+// Wallets answer wallet_switchEthereumChain with 4902 when they don't know the
+// chain yet (MetaMask mobile nests it under data.originalError).
+const UNRECOGNIZED_CHAIN_ERROR = 4902;
+
+// Asks an EIP-1193 wallet to switch to `network`, adding it first if needed.
+export const switchToNetwork = async (ethereum, network) => {
+  try {
+    await ethereum.request({
+      method: "wallet_switchEthereumChain",
+      params: [{ chainId: network.chainId }],
+    });
+  } catch (err) {
+    const code = err?.data?.originalError?.code ?? err?.code;
+    if (code !== UNRECOGNIZED_CHAIN_ERROR) throw err;
+
+    await ethereum.request({
+      method: "wallet_addEthereumChain",
+      params: [
+        {
+          chainId: network.chainId,
+          chainName: network.name,
+          rpcUrls: network.rpcUrls,
+          nativeCurrency: network.nativeCurrency,
+          blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined,
+        },
+      ],
+    });
+  }
+};
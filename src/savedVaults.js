@@ -0,0 +1,82 @@
+// src/savedVaults.js
+// Vaults the user deployed or added, on top of the registry's one vault per
+// network, and which vault is selected on each chain.
+
+import { readStored, writeStored } from "./storage";
+
+const STORAGE_KEY = "metalocked.vaults";
+
+const EMPTY = { saved: [], selected: {} };
+
+/**
+ * @typedef {Object} SavedVault
+ * @property {string} chainId     hex chain id
+ * @property {string} address
+ * @property {string} label
+ * @property {number} deployBlock
+ * @property {number} addedAt     Unix ms
+ */
+
+/** @returns {{saved: SavedVault[], selected: Object<string, string>}} */
+export const loadSavedVaults = () => ({
+  ...EMPTY,
+  ...readStored(STORAGE_KEY, {}),
+});
+
+export const storeSavedVaults = (state) => writeStored(STORAGE_KEY, state);
+
+const sameAddress = (a, b) => a?.toLowerCase() === b?.toLowerCase();
+
+export const addSavedVault = (state, vault) => ({
+  ...state,
+  saved: [
+    ...state.saved.filter(
+      (v) =>
+        !(v.chainId === vault.chainId && sameAddress(v.address, vault.address))
+    ),
+    { addedAt: Date.now(), ...vault },
+  ],
+});
+
+export const selectVault = (state, chainId, address) => ({
+  ...state,
+  selected: { ...state.selected, [chainId]: address },
+});
+
+// The registry vault (if any) followed by the saved ones for `network`.
+export const vaultsForNetwork = (network, state) => {
+  if (!network) return [];
+  const builtIn = network.vaultAddress
+    ? [
+        {
+          chainId: network.chainId,
+          address: network.vaultAddress,
+          label: "Default vault",
+          deployBlock: network.deployBlock || 0,
+        },
+      ]
+    : [];
+  const saved = state.saved.filter(
+    (v) =>
+      v.chainId === network.chainId &&
+      !sameAddress(v.address, network.vaultAddress)
+  );
+  return [...builtIn, ...saved];
+};
+
+// `network` with the selected vault (falling back to the first known one)
+// as its vaultAddress / deployBlock.
+export const applySelectedVault = (network, state) => {
+  if (!network) return network;
+  const options = vaultsForNetwork(network, state);
+  const chosen =
+    options.find((v) =>
+      sameAddress(v.address, state.selected[network.chainId])
+    ) || options[0];
+  if (!chosen) return network;
+  return {
+    ...network,
+    vaultAddress: chosen.address,
+    deployBlock: chosen.deployBlock,
+  };
+};
@@ -0,0 +1,35 @@
+// src/storage.js
+// Everything the app remembers lives in localStorage as JSON under a
+// "metalocked.*" key. Storage can be unavailable (private mode, quota,
+// disabled by policy): reads then fall back and writes are skipped, so the
+// state simply lasts for this session only.
+
+/**
+ * @template T
+ * @param {string} key
+ * @param {T} fallback  Returned when the key is missing or unreadable
+ * @returns {T}
+ */
+export const readStored = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+export const writeStored = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Unavailable or full: see above.
+  }
+};
+
+export const removeStored = (key) => {
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    // Unavailable: nothing was stored either.
+  }
+};
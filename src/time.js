@@ -0,0 +1,80 @@
+// src/time.js
+
+// "3d 04h 05m 06s" style countdown; omits leading zero units.
+export const formatCountdown = (totalSeconds) => {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  const pad = (n) => String(n).padStart(2, "0");
+
+  if (days > 0) return `${days}d ${pad(hours)}h ${pad(minutes)}m ${pad(secs)}s`;
+  if (hours > 0) return `${hours}h ${pad(minutes)}m ${pad(secs)}s`;
+  if (minutes > 0) return `${minutes}m ${pad(secs)}s`;
+  return `${secs}s`;
+};
+
+export const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Every IANA zone the browser knows, local zone and UTC first.
+export const listTimeZones = () => {
+  const zones =
+    typeof Intl.supportedValuesOf === "function"
+      ? Intl.supportedValuesOf("timeZone")
+      : [];
+  return [...new Set([LOCAL_TIME_ZONE, "UTC", ...zones])];
+};
+
+// Milliseconds `timeZone` is ahead of UTC at the instant `ms`.
+const zoneOffset = (ms, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(ms))
+      .map((p) => [p.type, Number(p.value)])
+  );
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - Math.floor(ms / 1000) * 1000;
+};
+
+// Unix seconds for a <input type="datetime-local"> value ("2027-01-31T09:30")
+// read as wall-clock time in `timeZone`, or null if it doesn't parse.
+export const zonedTimeToUnix = (localValue, timeZone) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(
+    localValue || ""
+  );
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s = "0"] = match;
+  const asUtc = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+  // Second pass picks up a DST change between the guess and the answer.
+  let ms = asUtc - zoneOffset(asUtc, timeZone);
+  ms = asUtc - zoneOffset(ms, timeZone);
+  return Math.floor(ms / 1000);
+};
+
+export const formatInTimeZone = (seconds, timeZone) =>
+  new Date(seconds * 1000).toLocaleString(undefined, {
+    timeZone,
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZoneName: "short",
+  });
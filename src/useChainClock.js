@@ -0,0 +1,48 @@
+// src/useChainClock.js
+import { useEffect, useState } from "react";
+
+// Chain time, not wall-clock time: anchored to the latest block's timestamp
+// (re-read on every new block) and advanced locally once per second in
+// between. The contract compares against block.timestamp, so this is what
+// decides whether a withdrawal can go through.
+function useChainClock(runner) {
+  const [anchor, setAnchor] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!runner) return;
+    let cancelled = false;
+
+    const sync = async () => {
+      try {
+        const block = await runner.getBlock("latest");
+        if (!cancelled && block) {
+          setAnchor({ blockTime: block.timestamp, localTime: Date.now() });
+        }
+      } catch (err) {
+        console.error(err);
+      }
+    };
+
+    sync();
+    runner.on("block", sync);
+    return () => {
+      cancelled = true;
+      runner.off("block", sync);
+    };
+  }, [runner]);
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  if (!anchor) return { chainNow: 0, latestBlockTime: 0 };
+  return {
+    chainNow:
+      anchor.blockTime + Math.max(0, Math.floor((now - anchor.localTime) / 1000)),
+    latestBlockTime: anchor.blockTime,
+  };
+}
+
+export default useChainClock;
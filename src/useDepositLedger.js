@@ -0,0 +1,161 @@
+// src/useDepositLedger.js
+import { useCallback, useEffect, useState } from "react";
+import {
+  buildLedger,
+  findRefundTransfers,
+  verifyRefundTransaction,
+} from "./lib/ledger";
+import { readStored, writeStored } from "./storage";
+
+const STORAGE_KEY = "metalocked.refunds";
+
+// Refunds are kept per chain and vault: { "0xaa36a7:0xvault": Refund[] }.
+const loadAllRefunds = () => readStored(STORAGE_KEY, {});
+
+// Per-depositor totals for the vault, with refunds the owner has made.
+// Reloads the deposit history whenever `reloadKey` changes.
+function useDepositLedger({ client, chainId, owner, reloadKey }) {
+  const [history, setHistory] = useState({ client: null, entries: [] });
+  const [allRefunds, setAllRefunds] = useState(loadAllRefunds);
+  const [loading, setLoading] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const [error, setError] = useState("");
+
+  const vaultKey = client ? `${chainId}:${client.address.toLowerCase()}` : "";
+  const refunds = allRefunds[vaultKey] || [];
+  const entries = history.client === client ? history.entries : [];
+
+  useEffect(() => {
+    writeStored(STORAGE_KEY, allRefunds);
+  }, [allRefunds]);
+
+  useEffect(() => {
+    if (!client) return;
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const loaded = await client.getHistory();
+        if (!cancelled) setHistory({ client, entries: loaded });
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) setError("Could not load deposits.");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [client, reloadKey]);
+
+  const rows = buildLedger(entries, { owner, refunds });
+  const depositors = rows.map((row) => row.address);
+
+  // Adds refunds for this vault, skipping transaction hashes already known.
+  const addRefunds = useCallback(
+    (added) => {
+      setAllRefunds((prev) => {
+        const current = prev[vaultKey] || [];
+        const known = new Set(current.map((r) => r.txHash).filter(Boolean));
+        const fresh = added.filter((r) => !r.txHash || !known.has(r.txHash));
+        return { ...prev, [vaultKey]: [...current, ...fresh] };
+      });
+    },
+    [vaultKey]
+  );
+
+  const removeRefund = useCallback(
+    (id) => {
+      setAllRefunds((prev) => ({
+        ...prev,
+        [vaultKey]: (prev[vaultKey] || []).filter((r) => r.id !== id),
+      }));
+    },
+    [vaultKey]
+  );
+
+  // Manual entry; with a transaction hash the transfer is checked on-chain
+  // and its real amount and recipient are used.
+  const markRefund = async ({ to, amount, txHash, note }) => {
+    if (txHash) {
+      const refund = await verifyRefundTransaction(client.provider, txHash, {
+        owner,
+        depositors,
+      });
+      addRefunds([{ ...refund, note }]);
+      return refund;
+    }
+    const refund = {
+      id: `manual-${Date.now()}`,
+      to: to.toLowerCase(),
+      amount: amount.toString(),
+      source: "manual",
+      txHash: null,
+      blockNumber: null,
+      recordedAt: Date.now(),
+      note,
+    };
+    addRefunds([refund]);
+    return refund;
+  };
+
+  // A transfer from the batch refund run. The run has already seen it
+  // confirmed through the wallet's RPC, so it is recorded from the step as
+  // is: re-reading it from the read RPC, which can lag a block behind,
+  // would fail and leave the refund out of the ledger.
+  const recordBatchRefund = useCallback(
+    (step) => {
+      addRefunds([
+        {
+          id: step.hash || `batch-${step.key}-${Date.now()}`,
+          to: step.to.toLowerCase(),
+          amount: step.amount,
+          source: step.hash ? "batch" : "manual",
+          txHash: step.hash,
+          blockNumber: null,
+          recordedAt: Date.now(),
+          note: step.hash ? "Batch refund" : "Batch refund (confirmed by hand)",
+        },
+      ]);
+    },
+    [addRefunds]
+  );
+
+  // Looks for owner -> depositor transfers right after each withdrawal.
+  const scanForRefunds = async () => {
+    setScanning(true);
+    try {
+      const found = await findRefundTransfers(client.provider, {
+        owner,
+        depositors,
+        withdrawals: entries
+          .filter((entry) => entry.type === "Withdrawn")
+          .map((entry) => entry.blockNumber),
+        latestBlock: await client.provider.getBlockNumber(),
+      });
+      addRefunds(found);
+      return found;
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  return {
+    rows,
+    refunds,
+    loading,
+    scanning,
+    error,
+    markRefund,
+    recordBatchRefund,
+    removeRefund,
+    scanForRefunds,
+  };
+}
+
+export default useDepositLedger;
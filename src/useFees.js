@@ -0,0 +1,60 @@
+// src/useFees.js
+import { useEffect, useState } from "react";
+import { getFeeSuggestions } from "./lib/fees";
+
+// Fee presets and the connected wallet's ETH balance, both re-read on every
+// new block so previews and the deposit balance check stay current.
+function useFees({ runner, account }) {
+  const [fees, setFees] = useState({ runner: null, suggestions: null });
+  const [wallet, setWallet] = useState({ account: "", balance: null });
+
+  useEffect(() => {
+    if (!runner) return;
+    let cancelled = false;
+
+    const sync = async () => {
+      try {
+        const suggestions = await getFeeSuggestions(runner);
+        if (!cancelled) setFees({ runner, suggestions });
+      } catch (err) {
+        console.error(err);
+      }
+    };
+
+    sync();
+    runner.on("block", sync);
+    return () => {
+      cancelled = true;
+      runner.off("block", sync);
+    };
+  }, [runner]);
+
+  useEffect(() => {
+    if (!runner || !account) return;
+    let cancelled = false;
+
+    const sync = async () => {
+      try {
+        const balance = await runner.getBalance(account);
+        if (!cancelled) setWallet({ account, balance });
+      } catch (err) {
+        console.error(err);
+      }
+    };
+
+    sync();
+    runner.on("block", sync);
+    return () => {
+      cancelled = true;
+      runner.off("block", sync);
+    };
+  }, [runner, account]);
+
+  return {
+    suggestions: fees.runner === runner ? fees.suggestions : null,
+    walletBalance:
+      account && wallet.account === account ? wallet.balance : null,
+  };
+}
+
+export default useFees;
@@ -0,0 +1,99 @@
+// src/useFiatPrice.js
+import { useEffect, useMemo, useState } from "react";
+import { getReadProvider } from "./networks";
+import { classifyError } from "./lib/errors";
+import {
+  createChainlinkSource,
+  createStaticSource,
+  formatFiat,
+} from "./lib/prices";
+import { readStored, writeStored } from "./storage";
+
+const STORAGE_KEY = "metalocked.price";
+const REFRESH_MS = 60_000;
+
+const DEFAULT_SETTINGS = {
+  currency: "USD",
+  source: "chainlink", // chainlink | manual
+  manualPrices: {}, // { USD: "2500" }
+};
+
+const loadSettings = () => ({
+  ...DEFAULT_SETTINGS,
+  ...readStored(STORAGE_KEY, {}),
+});
+
+// ETH is priced the same everywhere, so a testnet without feeds borrows
+// those of another configured network.
+const feedNetwork = (networks, activeNetwork) =>
+  activeNetwork?.priceFeeds
+    ? activeNetwork
+    : networks.find((n) => n.priceFeeds && getReadProvider(n)) || null;
+
+// The price of 1 ETH in the selected currency from the selected source,
+// refreshed every minute. `format(wei)` is "" while no price is known.
+function useFiatPrice({ networks, activeNetwork }) {
+  const [settings, setSettings] = useState(loadSettings);
+  const [quote, setQuote] = useState({ price: null, updatedAt: 0, error: "" });
+
+  useEffect(() => {
+    writeStored(STORAGE_KEY, settings);
+  }, [settings]);
+
+  // Keyed by chain id: activeNetwork is a fresh object on every render.
+  const feedChainId = feedNetwork(networks, activeNetwork)?.chainId;
+  const source = useMemo(() => {
+    if (settings.source === "manual") {
+      return createStaticSource(settings.manualPrices);
+    }
+    const network = networks.find((n) => n.chainId === feedChainId);
+    return network
+      ? createChainlinkSource(getReadProvider(network), network.priceFeeds)
+      : null;
+  }, [settings.source, settings.manualPrices, networks, feedChainId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        if (!source) {
+          throw new Error("No price feed is configured; use a manual price.");
+        }
+        const next = await source.getPrice(settings.currency);
+        if (!cancelled) setQuote({ ...next, error: "" });
+      } catch (err) {
+        if (!cancelled) {
+          setQuote({
+            price: null,
+            updatedAt: 0,
+            error: classifyError(err).message,
+          });
+        }
+      }
+    };
+    load();
+    const id = setInterval(load, REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+    };
+  }, [source, settings.currency]);
+
+  const updateSettings = (patch) =>
+    setSettings((prev) => ({ ...prev, ...patch }));
+
+  return {
+    settings,
+    updateSettings,
+    price: quote.price,
+    updatedAt: quote.updatedAt,
+    error: quote.error,
+    sourceLabel: source?.label || "",
+    format: (wei) =>
+      quote.price != null && wei != null
+        ? formatFiat(wei, quote.price, settings.currency)
+        : "",
+  };
+}
+
+export default useFiatPrice;
@@ -0,0 +1,52 @@
+// src/useGasEstimate.js
+import { useEffect, useState } from "react";
+import { SimulationError } from "./lib/preflight";
+import { classifyError } from "./lib/errors";
+
+// Give the user a moment to finish typing before hitting the RPC.
+const ESTIMATE_DELAY_MS = 400;
+
+const IDLE = { gasLimit: null, error: "" };
+
+// Gas limit for a write as the form currently stands, simulated from the
+// connected account against the read client. `arg` is the method's single
+// argument (if any) and `value` the ETH sent along; pass enabled=false while
+// the form is empty or the action is blocked anyway.
+function useGasEstimate({ client, from, method, arg, value, enabled }) {
+  const key = `${client?.address}|${from}|${method}|${arg}|${value}`;
+  const [result, setResult] = useState({ key: "", ...IDLE });
+  const active = Boolean(enabled && client && from);
+
+  useEffect(() => {
+    if (!active) return;
+    let cancelled = false;
+
+    const id = setTimeout(async () => {
+      try {
+        const args = arg === undefined ? [] : [arg];
+        const overrides = value === undefined ? { from } : { from, value };
+        const gasLimit = await client.estimateGas(method, args, overrides);
+        if (!cancelled) setResult({ key, gasLimit, error: "" });
+      } catch (err) {
+        if (cancelled) return;
+        setResult({
+          key,
+          gasLimit: null,
+          error:
+            err instanceof SimulationError
+              ? `Would revert: ${err.message}`
+              : classifyError(err).message,
+        });
+      }
+    }, ESTIMATE_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(id);
+    };
+  }, [active, key, client, from, method, arg, value]);
+
+  return active && result.key === key ? result : IDLE;
+}
+
+export default useGasEstimate;
@@ -0,0 +1,115 @@
+// src/useRefundRun.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  createRefundRun,
+  executeRefundRun,
+  reconcileRefundRun,
+  updateStep,
+} from "./lib/refunds";
+import { readStored, writeStored } from "./storage";
+
+const STORAGE_KEY = "metalocked.refundRuns";
+
+// At most one run per chain and vault: { "0xaa36a7:0xvault": RefundRun }.
+// Without storage the run can't be resumed after a reload.
+const loadRuns = () => readStored(STORAGE_KEY, {});
+
+const newlyDone = (before, after) =>
+  after.steps.filter(
+    (step) =>
+      step.status === "done" &&
+      before.steps.find((b) => b.key === step.key)?.status !== "done"
+  );
+
+// The owner's batch refund for one vault, saved after every step so it can
+// be resumed after a reload. `onTransferDone(step)` fires once per refund
+// that has gone through, for the deposit ledger.
+function useRefundRun({ vaultKey, onTransferDone }) {
+  const [runs, setRuns] = useState(loadRuns);
+  const [busy, setBusy] = useState(false);
+  const busyRef = useRef(false);
+  const run = runs[vaultKey] || null;
+
+  useEffect(() => {
+    writeStored(STORAGE_KEY, runs);
+  }, [runs]);
+
+  const saveRun = useCallback(
+    (next) => setRuns((prev) => ({ ...prev, [vaultKey]: next })),
+    [vaultKey]
+  );
+
+  const report = (before, after) => {
+    for (const step of newlyDone(before, after)) {
+      if (step.kind === "transfer") onTransferDone(step);
+    }
+  };
+
+  // Settles whatever was in flight, then continues with the next steps.
+  // `getWriteClient` resolves to a signer-backed client for the vault.
+  const resume = async (startFrom, { getWriteClient, overrides, onSent }) => {
+    if (busyRef.current) return startFrom;
+    busyRef.current = true;
+    setBusy(true);
+    try {
+      const writeClient = await getWriteClient();
+      if (writeClient.address.toLowerCase() !== startFrom.vault.toLowerCase()) {
+        throw new Error("Switch the wallet to the vault's network first.");
+      }
+      const signer = writeClient.runner;
+      if (
+        (await signer.getAddress()).toLowerCase() !==
+        startFrom.owner.toLowerCase()
+      ) {
+        throw new Error("Only the vault owner can send refunds.");
+      }
+
+      let last = startFrom;
+      const onUpdate = (next) => {
+        report(last, next);
+        last = next;
+        saveRun(next);
+      };
+      onUpdate(await reconcileRefundRun(startFrom, signer.provider));
+      return await executeRefundRun(last, {
+        client: writeClient,
+        signer,
+        overrides,
+        onUpdate,
+        onSent,
+      });
+    } finally {
+      busyRef.current = false;
+      setBusy(false);
+    }
+  };
+
+  const start = (options, sendOptions) => {
+    const created = createRefundRun(options);
+    saveRun(created);
+    return resume(created, sendOptions);
+  };
+
+  // The owner's answer for a step in "check": it went through, or send again.
+  const resolveCheck = (key, wentThrough) => {
+    const next = updateStep(run, key, {
+      status: wentThrough ? "done" : "pending",
+      error: "",
+    });
+    report(run, next);
+    saveRun(next);
+  };
+
+  const discard = () => {
+    if (busyRef.current) return;
+    setRuns((prev) => {
+      const rest = { ...prev };
+      delete rest[vaultKey];
+      return rest;
+    });
+  };
+
+  return { run, busy, start, resume, resolveCheck, discard };
+}
+
+export default useRefundRun;
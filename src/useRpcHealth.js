@@ -0,0 +1,23 @@
+// src/useRpcHealth.js
+import { useCallback, useSyncExternalStore } from "react";
+import { ResilientProvider } from "./lib/rpc";
+
+const noop = () => () => {};
+const none = () => null;
+
+/**
+ * Live connection health of a read provider from getReadProvider.
+ * @returns {import("./lib/rpc").RpcHealth|null} null for other providers
+ *   (e.g. the wallet's), which don't report health.
+ */
+function useRpcHealth(provider) {
+  const tracked = provider instanceof ResilientProvider ? provider : null;
+  const subscribe = useCallback(
+    (onChange) => (tracked ? tracked.onHealthChange(onChange) : noop()),
+    [tracked]
+  );
+  const getSnapshot = tracked ? () => tracked.getHealth() : none;
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+export default useRpcHealth;
@@ -0,0 +1,66 @@
+// src/useTimeLockedWallet.js
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { TimeLockedWalletClient } from "./lib/TimeLockedWalletClient";
+
+const EMPTY_STATE = {
+  balance: 0n,
+  unlockTime: 0,
+  owner: "",
+  blockNumber: 0,
+  blockTimestamp: 0,
+  isUnlocked: false,
+};
+
+// React wrapper around TimeLockedWalletClient: builds a read client for the
+// given vault, keeps its state fresh (on mount, on vault change and on every
+// vault event from any sender) and exposes a manual refresh.
+function useTimeLockedWallet({ address, runner, deployBlock = 0 }) {
+  const client = useMemo(
+    () =>
+      address && runner
+        ? new TimeLockedWalletClient({ address, runner, deployBlock })
+        : null,
+    [address, runner, deployBlock]
+  );
+
+  // Results are tagged with the client that produced them, so switching
+  // vaults never shows the previous vault's numbers.
+  const [result, setResult] = useState({ client: null, state: EMPTY_STATE });
+  const [error, setError] = useState(null);
+  // Bumped after every successful read; lets views reload derived data.
+  const [version, setVersion] = useState(0);
+
+  const refresh = useCallback(async () => {
+    if (!client) return null;
+    try {
+      const state = await client.getState();
+      setResult({ client, state });
+      setError(null);
+      setVersion((v) => v + 1);
+      return state;
+    } catch (err) {
+      console.error(err);
+      setError(err);
+      return null;
+    }
+  }, [client]);
+
+  useEffect(() => {
+    if (!client) return;
+    const load = async () => {
+      await refresh();
+    };
+    load();
+    return client.watch(load);
+  }, [client, refresh]);
+
+  return {
+    client,
+    state: result.client === client ? result.state : EMPTY_STATE,
+    error,
+    version,
+    refresh,
+  };
+}
+
+export default useTimeLockedWallet;
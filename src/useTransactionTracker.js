@@ -0,0 +1,131 @@
+// src/useTransactionTracker.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  toTrackedTransaction,
+  watchTransaction,
+  speedUpTransaction,
+  cancelTransaction,
+} from "./lib/transactions";
+import { readStored, writeStored } from "./storage";
+
+const STORAGE_KEY = "metalocked.transactions";
+const MAX_RECORDS = 50;
+const RETRY_WATCH_MS = 5000;
+
+// Newest first. Pending records are always kept, so a busy history can't
+// make the app forget a transaction it is still waiting for.
+const trimRecords = (records) => {
+  let room = MAX_RECORDS - records.filter((r) => r.status === "pending").length;
+  return records.filter((r) => r.status === "pending" || room-- > 0);
+};
+
+// Persists every write this app sends and keeps watching pending ones, also
+// across reloads. `track` resolves with the settled record, so callers can
+// report "sped up", "cancelled" or "replaced" instead of hanging forever.
+function useTransactionTracker({ chainId, provider }) {
+  const [records, setRecords] = useState(() => readStored(STORAGE_KEY, []));
+  // Bumped to re-run the watcher after a provider error.
+  const [watchEpoch, setWatchEpoch] = useState(0);
+  const watchingRef = useRef(new Set());
+  const waitersRef = useRef(new Map());
+
+  useEffect(() => {
+    writeStored(STORAGE_KEY, records);
+  }, [records]);
+
+  useEffect(() => {
+    if (!provider) return;
+    for (const record of records) {
+      if (record.status !== "pending" || record.chainId !== chainId) continue;
+      if (watchingRef.current.has(record.hash)) continue;
+      watchingRef.current.add(record.hash);
+
+      watchTransaction(provider, record)
+        .then((patch) => {
+          const settled = { ...record, ...patch };
+          setRecords((prev) =>
+            prev.map((r) => (r.hash === record.hash ? settled : r))
+          );
+          for (const resolve of waitersRef.current.get(record.hash) || []) {
+            resolve(settled);
+          }
+          waitersRef.current.delete(record.hash);
+        })
+        .catch((err) => {
+          console.error(err);
+          setTimeout(() => setWatchEpoch((n) => n + 1), RETRY_WATCH_MS);
+        })
+        .finally(() => {
+          watchingRef.current.delete(record.hash);
+        });
+    }
+  }, [records, provider, chainId, watchEpoch]);
+
+  const track = useCallback(
+    async (tx, { kind, label }) => {
+      // The transaction is already out: record it before any network call.
+      const record = toTrackedTransaction(tx, {
+        chainId,
+        kind,
+        label,
+        startBlock: null,
+      });
+      const settled = new Promise((resolve) => {
+        const waiters = waitersRef.current.get(tx.hash) || [];
+        waitersRef.current.set(tx.hash, [...waiters, resolve]);
+      });
+      setRecords((prev) => trimRecords([record, ...prev]));
+
+      try {
+        const startBlock = await provider?.getBlockNumber();
+        if (startBlock !== undefined) {
+          setRecords((prev) =>
+            prev.map((r) =>
+              r.hash === tx.hash && r.startBlock === null
+                ? { ...r, startBlock }
+                : r
+            )
+          );
+        }
+      } catch (err) {
+        console.warn("Could not read the block number for", tx.hash, err);
+      }
+      return settled;
+    },
+    [provider, chainId]
+  );
+
+  // The original record settles as "sped-up" / "cancelled" once the
+  // replacement is mined; the replacement is tracked like any other write.
+  const speedUp = useCallback(
+    async (record, signer) => {
+      const tx = await speedUpTransaction(signer, record);
+      track(tx, { kind: record.kind, label: `${record.label} (sped up)` });
+      return tx;
+    },
+    [track]
+  );
+
+  const cancel = useCallback(
+    async (record, signer) => {
+      const tx = await cancelTransaction(signer, record);
+      track(tx, { kind: "cancel", label: `Cancel: ${record.label}` });
+      return tx;
+    },
+    [track]
+  );
+
+  const clearSettled = useCallback(() => {
+    setRecords((prev) => prev.filter((r) => r.status === "pending"));
+  }, []);
+
+  return {
+    transactions: records.filter((r) => r.chainId === chainId),
+    track,
+    speedUp,
+    cancel,
+    clearSettled,
+  };
+}
+
+export default useTransactionTracker;
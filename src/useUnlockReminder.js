@@ -0,0 +1,112 @@
+// src/useUnlockReminder.js
+import { useEffect, useRef, useState } from "react";
+import { readStored, writeStored } from "./storage";
+
+const STORAGE_KEY = "metalocked.reminders";
+
+/**
+ * Per vault: { "0xaa36a7:0xvault": { notify, alarmMinutes, exportedFor } }.
+ * `exportedFor` is the unlock time of the last calendar event downloaded,
+ * so a LockExtended that moves the date can prompt for a new one.
+ */
+const loadReminders = () => readStored(STORAGE_KEY, {});
+
+const DEFAULT_REMINDER = { notify: false, alarmMinutes: 60, exportedFor: null };
+
+const notificationsSupported = () => typeof Notification !== "undefined";
+
+const notify = (title, body, tag) => {
+  if (!notificationsSupported() || Notification.permission !== "granted") {
+    return;
+  }
+  try {
+    // The tag keeps several open tabs from stacking the same notification.
+    new Notification(title, { body, tag });
+  } catch (err) {
+    // Some mobile browsers only allow notifications from a service worker.
+    console.error(err);
+  }
+};
+
+// Browser notification when `unlockTime` passes (in chain time) while the
+// app is open, plus the saved settings for the calendar export.
+function useUnlockReminder({ vaultKey, unlockTime, chainNow, label }) {
+  const [reminders, setReminders] = useState(loadReminders);
+  const [permission, setPermission] = useState(() =>
+    notificationsSupported() ? Notification.permission : "unsupported"
+  );
+  const reminder = { ...DEFAULT_REMINDER, ...reminders[vaultKey] };
+  const armedRef = useRef(null);
+  const lastUnlockRef = useRef({ vaultKey, unlockTime });
+
+  useEffect(() => {
+    writeStored(STORAGE_KEY, reminders);
+  }, [reminders]);
+
+  const update = (patch) =>
+    setReminders((prev) => ({
+      ...prev,
+      [vaultKey]: { ...DEFAULT_REMINDER, ...prev[vaultKey], ...patch },
+    }));
+
+  // Only a lock that is seen running and then expiring triggers the
+  // notification; opening the app after the unlock time stays quiet.
+  useEffect(() => {
+    if (!reminder.notify || !(unlockTime > 0) || !(chainNow > 0)) {
+      armedRef.current = null;
+      return;
+    }
+    if (chainNow < unlockTime) {
+      armedRef.current = unlockTime;
+      return;
+    }
+    if (armedRef.current === unlockTime) {
+      armedRef.current = null;
+      notify(
+        `${label} is unlocked`,
+        "The lock has expired; the owner can withdraw now.",
+        `${vaultKey}:${unlockTime}`
+      );
+    }
+  }, [reminder.notify, unlockTime, chainNow, label, vaultKey]);
+
+  // A LockExtended on the vault being watched moves the date.
+  useEffect(() => {
+    const last = lastUnlockRef.current;
+    lastUnlockRef.current = { vaultKey, unlockTime };
+    if (
+      reminder.notify &&
+      last.vaultKey === vaultKey &&
+      last.unlockTime > 0 &&
+      unlockTime > last.unlockTime
+    ) {
+      notify(
+        `${label}: unlock time moved`,
+        `Now unlocks ${new Date(unlockTime * 1000).toLocaleString()}.`,
+        `${vaultKey}:${unlockTime}:moved`
+      );
+    }
+  }, [reminder.notify, unlockTime, label, vaultKey]);
+
+  const enableNotifications = async () => {
+    if (!notificationsSupported()) return;
+    const result =
+      Notification.permission === "default"
+        ? await Notification.requestPermission()
+        : Notification.permission;
+    setPermission(result);
+    update({ notify: result === "granted" });
+  };
+
+  return {
+    reminder,
+    permission,
+    enableNotifications,
+    disableNotifications: () => update({ notify: false }),
+    setAlarmMinutes: (alarmMinutes) => update({ alarmMinutes }),
+    markExported: (exportedUnlockTime) =>
+      update({ exportedFor: exportedUnlockTime }),
+  };
+}
+
+export default useUnlockReminder;
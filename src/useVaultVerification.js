@@ -0,0 +1,50 @@
+// src/useVaultVerification.js
+import { useEffect, useState } from "react";
+import { verifyVaultCode } from "./lib/verify";
+import { classifyError } from "./lib/errors";
+
+const IDLE = { result: null, error: "" };
+
+// Checks the vault's deployed code for each address / provider, and again
+// whenever `reloadKey` changes (so a failed read is retried on refresh).
+// Until the first check finishes `checking` is true and `result` null; when
+// the code can't be read `error` says why and `result` stays null.
+function useVaultVerification({ address, runner, reloadKey }) {
+  // Tagged with what was checked, so a result never outlives its vault.
+  const [state, setState] = useState({ address: "", runner: null, ...IDLE });
+  const active = Boolean(address && runner);
+
+  useEffect(() => {
+    if (!active) return;
+    let cancelled = false;
+
+    const verify = async () => {
+      try {
+        const result = await verifyVaultCode(runner, address);
+        if (!cancelled) setState({ address, runner, result, error: "" });
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) {
+          setState({
+            address,
+            runner,
+            result: null,
+            error: classifyError(err).message,
+          });
+        }
+      }
+    };
+
+    verify();
+    return () => {
+      cancelled = true;
+    };
+  }, [active, address, runner, reloadKey]);
+
+  if (!active) return { checking: false, ...IDLE };
+  return state.address === address && state.runner === runner
+    ? { checking: false, result: state.result, error: state.error }
+    : { checking: true, ...IDLE };
+}
+
+export default useVaultVerification;
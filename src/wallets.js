@@ -0,0 +1,99 @@
+// src/wallets.js
+// EIP-6963 wallet discovery. Every installed extension announces itself with
+// its own EIP-1193 provider, so they no longer have to fight over
+// window.ethereum. Wallets that predate EIP-6963 are still picked up through
+// window.ethereum when nothing announces.
+import { readStored, removeStored, writeStored } from "./storage";
+
+const STORAGE_KEY = "metalocked.wallet";
+
+export const LEGACY_WALLET_ID = "legacy.window.ethereum";
+
+const legacyWallet = () => ({
+  info: {
+    uuid: LEGACY_WALLET_ID,
+    rdns: LEGACY_WALLET_ID,
+    name: window.ethereum?.isMetaMask ? "MetaMask" : "Browser wallet",
+    icon: "",
+  },
+  provider: window.ethereum,
+});
+
+// Calls `onChange(wallets)` with the current list every time a wallet
+// announces itself. Returns an unsubscribe function.
+export const discoverWallets = (onChange) => {
+  const announced = new Map();
+
+  const emit = () => {
+    const wallets = [...announced.values()];
+    if (wallets.length === 0 && window.ethereum) wallets.push(legacyWallet());
+    onChange(wallets);
+  };
+
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info?.uuid || !provider) return;
+    // Keyed by rdns so a wallet re-announcing after a reload replaces itself.
+    announced.set(info.rdns || info.uuid, Object.freeze({ info, provider }));
+    emit();
+  };
+
+  window.addEventListener("eip6963:announceProvider", handleAnnounce);
+  window.dispatchEvent(new Event("eip6963:requestProvider"));
+  emit();
+
+  return () => {
+    window.removeEventListener("eip6963:announceProvider", handleAnnounce);
+  };
+};
+
+// The uuid changes every page load, so the stable rdns is what we remember.
+export const walletId = (wallet) => wallet?.info.rdns || wallet?.info.uuid || "";
+
+export const loadRememberedWalletId = () => readStored(STORAGE_KEY, "");
+
+export const rememberWallet = (wallet) => {
+  if (wallet) writeStored(STORAGE_KEY, walletId(wallet));
+  else removeStored(STORAGE_KEY);
+};
+
+const SESSION_KEY = "metalocked.session";
+
+/**
+ * The last connected account and viewed chain, so a reload can reconnect
+ * silently (eth_accounts) and reopen the same vault. `account` is "" after
+ * an explicit disconnect.
+ * @returns {{account: string, chainId: string}}
+ */
+export const loadSession = () => ({
+  account: "",
+  chainId: "",
+  ...readStored(SESSION_KEY, {}),
+});
+
+export const storeSession = (session) => writeStored(SESSION_KEY, session);
+
+// Accounts the site is already authorised for, without a prompt. An empty
+// list means the wallet is locked or the site was never (or no longer)
+// connected.
+export const getAuthorizedAccounts = async (ethereum) => {
+  const accounts = await ethereum.request({ method: "eth_accounts" });
+  return Array.isArray(accounts) ? accounts : [];
+};
+
+// Drops the site's account permission (EIP-2255 revoke, MetaMask and a few
+// others). Resolves false when the wallet doesn't support it, in which case
+// the user has to disconnect the site from the wallet itself.
+export const revokeWalletAccess = async (ethereum) => {
+  try {
+    await ethereum.request({
+      method: "wallet_revokePermissions",
+      params: [{ eth_accounts: {} }],
+    });
+    return true;
+  } catch (err) {
+    // 4200: unsupported method (EIP-1193); -32601: method not found.
+    if (err?.code === 4200 || err?.code === -32601) return false;
+    throw err;
+  }
+};